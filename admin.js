@@ -0,0 +1,199 @@
+// admin.js
+
+// The admin usage dashboard (admin.html). Signs in with ADMIN_PASSWORD, which is kept for this
+// browser tab only, and draws what admin-stats returns.
+
+document.addEventListener("DOMContentLoaded", () => {
+  const statsEndpoint = "/.netlify/functions/admin-stats";
+  const PASSWORD_KEY = "toby-admin-password";
+
+  const loginForm = document.getElementById("login-form");
+  const passwordInput = document.getElementById("password");
+  const loginMessage = document.getElementById("login-message");
+  const dashboard = document.getElementById("dashboard");
+  const controls = document.getElementById("controls");
+  const daysSelect = document.getElementById("days");
+  const status = document.getElementById("status");
+
+  // === Formatting ===
+  const count = (n) => Number(n || 0).toLocaleString("en-NZ");
+  const percent = (ratio) => `${(ratio * 100).toFixed(ratio && ratio < 0.1 ? 1 : 0)}%`;
+  const seconds = (ms) => (ms === null || ms === undefined ? "–" : `${(ms / 1000).toFixed(1)} s`);
+  const usd = (n) => `US$${Number(n || 0).toFixed(n && n < 1 ? 3 : 2)}`;
+
+  // Build an element: el("td", { className: "bad" }, "text", childNode)
+  function el(tag, props = {}, ...children) {
+    const node = Object.assign(document.createElement(tag), props);
+    node.append(...children.filter((child) => child !== null && child !== undefined));
+    return node;
+  }
+
+  const bar = (value, max) =>
+    el("span", { className: "bar", style: `width: ${max ? Math.max(2, (value / max) * 100) : 0}%` });
+
+  // Rows are arrays of text, or of <td>s for cells that need a class or a bar
+  const isCell = (cell) => cell instanceof Node && cell.tagName === "TD";
+
+  function fillTable(table, headings, rows) {
+    table.replaceChildren(
+      el("thead", {}, el("tr", {}, ...headings.map((heading) => el("th", {}, heading)))),
+      el(
+        "tbody",
+        {},
+        ...rows.map((cells) => el("tr", {}, ...cells.map((cell) => (isCell(cell) ? cell : el("td", {}, cell)))))
+      )
+    );
+  }
+
+  const card = (label, value, detail = "") =>
+    el(
+      "div",
+      { className: "card" },
+      el("div", { className: "label" }, label),
+      el("div", { className: "value" }, value),
+      detail ? el("div", { className: "detail" }, detail) : null
+    );
+
+  // === Drawing ===
+  function render(stats) {
+    const { totals, answerLatency } = stats;
+
+    document.getElementById("summary").replaceChildren(
+      card("Questions", count(totals.questions)),
+      card("Answers", count(totals.answers), `${count(totals.failedAnswers)} failed`),
+      card("Answer failure rate", percent(totals.answerFailureRate)),
+      card("Answer time p50", seconds(answerLatency.p50), `p95 ${seconds(answerLatency.p95)}`),
+      card("Server errors", count(totals.errors), `${count(totals.rateLimited)} rate-limited`),
+      card(
+        "Estimated cost",
+        usd(totals.costUsd.total),
+        `${count(totals.tokens.prompt + totals.tokens.completion)} tokens`
+      )
+    );
+
+    const busiest = Math.max(0, ...stats.daily.map((day) => day.questions));
+    fillTable(
+      document.getElementById("daily-table"),
+      ["Date", "Questions", "", "Answers", "Failed", "p50", "p95", "Errors", "Rate-limited", "TTS chars", "STT min", "Cost"],
+      [...stats.daily].reverse().map((day) => [
+        day.date,
+        count(day.questions),
+        el("td", { className: "bar-cell" }, bar(day.questions, busiest)),
+        count(day.answers),
+        el("td", { className: day.failedAnswers ? "bad" : "" }, count(day.failedAnswers)),
+        seconds(day.answerLatency.p50),
+        seconds(day.answerLatency.p95),
+        el("td", { className: day.errors ? "bad" : "" }, count(day.errors)),
+        count(day.rateLimited),
+        count(day.ttsChars),
+        (day.sttSeconds / 60).toFixed(1),
+        usd(day.costUsd),
+      ])
+    );
+
+    const topTopic = stats.topics.length ? stats.topics[0].count : 0;
+    fillTable(
+      document.getElementById("topics-table"),
+      ["Topic", "Questions", ""],
+      stats.topics.map(({ topic, count: n }) => [
+        topic,
+        count(n),
+        el("td", { className: "bar-cell" }, bar(n, topTopic)),
+      ])
+    );
+
+    fillTable(
+      document.getElementById("functions-table"),
+      ["Function", "Requests", "Errors", "Error rate", "p50", "p95"],
+      stats.functions.map((fn) => [
+        fn.fn,
+        count(fn.requests),
+        count(fn.errors),
+        el("td", { className: fn.errorRate >= 0.05 ? "bad" : "" }, percent(fn.errorRate)),
+        seconds(fn.latency.p50),
+        seconds(fn.latency.p95),
+      ])
+    );
+
+    fillTable(
+      document.getElementById("runs-table"),
+      ["Status", "Runs"],
+      Object.entries(stats.runStatuses)
+        .sort((a, b) => b[1] - a[1])
+        .map(([runStatus, n]) => [runStatus, count(n)])
+    );
+
+    const { costUsd, tokens } = totals;
+    fillTable(
+      document.getElementById("cost-table"),
+      ["Item", "Usage", "Estimate"],
+      [
+        ["Chat", `${count(tokens.prompt)} in / ${count(tokens.completion)} out tokens`, usd(costUsd.chat)],
+        ["Text-to-speech", `${count(totals.ttsChars)} characters`, usd(costUsd.tts)],
+        ["Transcription", `${(totals.sttSeconds / 60).toFixed(1)} minutes`, usd(costUsd.stt)],
+        ["Total", "", usd(costUsd.total)],
+      ]
+    );
+
+    const when = (iso) => new Date(iso).toLocaleString("en-NZ", { timeZone: stats.timeZone });
+    status.textContent = `${when(stats.since)} – ${when(stats.until)} (${stats.timeZone})`;
+  }
+
+  // === Loading ===
+  function showLogin(message = "") {
+    dashboard.hidden = true;
+    controls.hidden = true;
+    loginForm.hidden = false;
+    loginMessage.textContent = message;
+    passwordInput.focus();
+  }
+
+  async function load(password) {
+    status.textContent = "Loading…";
+    let res;
+    try {
+      res = await fetch(`${statsEndpoint}?days=${daysSelect.value}`, {
+        headers: { Authorization: `Bearer ${password}` },
+      });
+    } catch (err) {
+      status.textContent = "Couldn't reach the server. Check your connection and try again.";
+      return;
+    }
+
+    if (res.status === 401) {
+      sessionStorage.removeItem(PASSWORD_KEY);
+      showLogin("Wrong password.");
+      return;
+    }
+    if (!res.ok) {
+      const { error } = await res.json().catch(() => ({ error: { message: `HTTP ${res.status}` } }));
+      if (loginForm.hidden) status.textContent = `⚠️ ${error.message}`;
+      else loginMessage.textContent = error.message;
+      return;
+    }
+
+    sessionStorage.setItem(PASSWORD_KEY, password);
+    loginForm.hidden = true;
+    dashboard.hidden = false;
+    controls.hidden = false;
+    render(await res.json());
+  }
+
+  loginForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    loginMessage.textContent = "";
+    load(passwordInput.value);
+  });
+
+  const reload = () => load(sessionStorage.getItem(PASSWORD_KEY) || "");
+  daysSelect.addEventListener("change", reload);
+  document.getElementById("refresh-btn").addEventListener("click", reload);
+  document.getElementById("sign-out-btn").addEventListener("click", () => {
+    sessionStorage.removeItem(PASSWORD_KEY);
+    passwordInput.value = "";
+    showLogin();
+  });
+
+  if (sessionStorage.getItem(PASSWORD_KEY)) reload();
+  else showLogin();
+});
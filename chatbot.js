@@ -1,8 +1,46 @@
-document.addEventListener("DOMContentLoaded", () => {
-  const form = document.getElementById("chat-form");
-  const input = document.getElementById("user-input");
-  const messages = document.getElementById("messages");
-  const micBtn = document.getElementById("mic-btn");
+// chatbot.js
+
+// The Toby chat UI. TobyChat.mount(root, options) wires it up to the markup in bot.html's
+// #chatbot-section, found inside root: the page's document, or a shadow root (see widget.js).
+// bot.html mounts itself once the page has loaded.
+
+const TOBY_CHAT_DEFAULTS = {
+  apiBase: "", // where the Netlify functions live; "" for this site
+  avatarUrl: "/Toby-Avatar.svg",
+  greeting: "", // shown (not saved or read aloud) at the top of a new chat
+  // chips under the greeting of a new chat; tapping one asks it. [] shows none.
+  starterPrompts: [
+    "How often does a backflow device need testing?",
+    "Do I need a consent to move a toilet?",
+    "My hot water cylinder is leaking. What should I do?",
+    "Find a Master Plumbers member near me",
+  ],
+  voice: true, // false hides the mic, hands-free, playback and voice settings
+  serviceWorker: true, // offline cache and Background Sync; only possible on Toby's own site
+};
+
+function mountTobyChat(root, options = {}) {
+  const { apiBase, avatarUrl, greeting, starterPrompts, voice, serviceWorker } = {
+    ...TOBY_CHAT_DEFAULTS,
+    ...options,
+  };
+  const form = root.getElementById("chat-form");
+  const input = root.getElementById("user-input");
+  const messages = root.getElementById("messages");
+  const micBtn = root.getElementById("mic-btn");
+  const photoBtn = root.getElementById("photo-btn");
+  const photoInput = root.getElementById("photo-input");
+  const photoTray = root.getElementById("photo-tray");
+  const handsFreeBtn = root.getElementById("hands-free-btn");
+  const voiceState = root.getElementById("voice-state");
+  const drawer = root.getElementById("conversation-drawer");
+  const drawerBtn = root.getElementById("drawer-btn");
+  const newChatBtn = root.getElementById("new-chat-btn");
+  const conversationList = root.getElementById("conversation-list");
+  const chatTitle = root.getElementById("chat-title");
+  const connectionStatus = root.getElementById("connection-status");
+  const accountBtn = root.getElementById("account-btn");
+  const emergencyBanner = root.getElementById("emergency-banner");
 
   // === Stop Talking button ===
   const stopTalkBtn = document.createElement("button");
@@ -10,37 +48,195 @@ document.addEventListener("DOMContentLoaded", () => {
   stopTalkBtn.className = "stop-talk-btn";
   stopTalkBtn.title = "Stop playback";
   stopTalkBtn.onclick = () => {
-    window.speechSynthesis.cancel();
+    stopSpeaking();
     updateDebug("Speech stopped by user");
   };
-  document.querySelector(".button-group").appendChild(stopTalkBtn);
+  root.querySelector(".button-group").appendChild(stopTalkBtn);
+
+  // === Stop Generating button (only visible while a reply is pending) ===
+  const stopGenBtn = document.createElement("button");
+  stopGenBtn.type = "button";
+  stopGenBtn.textContent = "⏹️ Stop generating";
+  stopGenBtn.className = "stop-gen-btn";
+  stopGenBtn.title = "Stop Toby's answer";
+  stopGenBtn.hidden = true;
+  stopGenBtn.onclick = () => {
+    if (activeRun) activeRun.controller.abort(new RunError("stopped"));
+  };
+  root.querySelector(".button-group").appendChild(stopGenBtn);
 
   let thread_id = null;
+  let conversation = null; // saved record for this chat, or null until its first message
+  let activeRun = null; // { controller, run_id } for the reply in flight
 
   // === Endpoints ===
-  const transcribeEndpoint = "/.netlify/functions/transcribe";
-  const ttsEndpoint = "/.netlify/functions/tts";
-  const startRunEndpoint = "/.netlify/functions/start-run";
-  const checkRunEndpoint = "/.netlify/functions/check-run";
+  const transcribeEndpoint = `${apiBase}/.netlify/functions/transcribe`;
+  const ttsEndpoint = `${apiBase}/.netlify/functions/tts`;
+  const startRunEndpoint = `${apiBase}/.netlify/functions/start-run`;
+  const checkRunEndpoint = `${apiBase}/.netlify/functions/check-run`;
+  const streamRunEndpoint = `${apiBase}/.netlify/functions/stream-run`;
+  const cancelRunEndpoint = `${apiBase}/.netlify/functions/cancel-run`;
+  const uploadImageEndpoint = `${apiBase}/.netlify/functions/upload-image`;
+  const feedbackEndpoint = `${apiBase}/.netlify/functions/feedback`;
+  const forgetEndpoint = `${apiBase}/.netlify/functions/forget-conversation`;
+  const sessionEndpoint = `${apiBase}/.netlify/functions/session`;
+
+  // Stop waiting for a reply after this long, so a stuck run can't spin forever
+  const replyTimeoutMs = 120000;
+
+  // Streaming needs a readable fetch body; older browsers fall back to polling
+  const canStream =
+    "ReadableStream" in window && "TextDecoder" in window && "body" in Response.prototype;
 
   // === Recording state ===
-  let mediaStream = null;
-  let mediaRecorder = null;
-  let chunks = [];
+  let recording = null; // the recording in progress (see startRecording)
   let isRecording = false;
-  let hasStopped = false;
-  let isTranscribing = false;
+  let levelMeter = null; // analyser for the recording in progress
+  let maxLengthTimer = null;
 
   // === Debug overlay ===
   const debugOverlay = document.createElement("div");
   debugOverlay.className = "debug-overlay";
   debugOverlay.innerText = "🔍 Debug ready";
-  document.body.appendChild(debugOverlay);
+  (root.body || root).appendChild(debugOverlay);
 
   const updateDebug = (msg) => {
     debugOverlay.innerText = msg;
   };
 
+  // Describe a failed function call from its { error: { code, message, requestId } } envelope
+  const readError = async (res) => {
+    try {
+      const { error } = await res.json();
+      return `${error.code}: ${error.message} (request ${error.requestId})`;
+    } catch (e) {
+      return `HTTP ${res.status}`;
+    }
+  };
+
+  // === Rate limits ===
+  // Thrown when a function answers 429; retryAfter is in seconds
+  class RateLimitError extends Error {
+    constructor(retryAfter, message) {
+      super(message || "Too many requests");
+      this.retryAfter = retryAfter;
+    }
+  }
+
+  const throwIfRateLimited = async (res) => {
+    if (res.status !== 429) return;
+    const retryAfter = Number(res.headers.get("Retry-After")) || 60;
+    let message = "";
+    try {
+      message = (await res.json()).error.message;
+    } catch (e) {
+      // fall back to the generic wording below
+    }
+    throw new RateLimitError(retryAfter, message);
+  };
+
+  const slowDownMessage = (err) => {
+    const wait =
+      err.retryAfter < 90
+        ? `${err.retryAfter} seconds`
+        : `${Math.ceil(err.retryAfter / 60)} minutes`;
+    const reason = err.message === "Too many requests" ? "Toby needs a breather." : err.message;
+    return `🐢 Whoa, slow down a little! ${reason} You can try again in about ${wait}.`;
+  };
+
+  // === Offline ===
+  // Thrown when a question couldn't leave the device; the submit handler queues it instead
+  class OfflineError extends Error {}
+
+  // The service worker answers function calls with 503 { offline: true } when there's no network
+  const throwIfOffline = async (res) => {
+    if (res.status !== 503) return;
+    const data = await res.clone().json().catch(() => ({}));
+    if (data.offline) throw new OfflineError("Offline");
+  };
+
+  // === Member sign-in ===
+  // Optional. The sign-in page (session's loginUrl) sends the browser back with #access_token=…;
+  // the token and what it unlocks are kept in localStorage and sent with every function call.
+  const ACCOUNT_KEY = "toby-account";
+  const GUEST = { signedIn: false, role: "public", label: "Public", name: null, features: [], loginUrl: null };
+
+  // Thrown when a function rejects the token (401); the browser has signed out by then
+  class SignedOutError extends Error {}
+  const signedOutMessage = "🔑 Your sign-in has expired, so you've been signed out. Sign in again to carry on.";
+
+  let account = { token: null, session: GUEST };
+  try {
+    account = { ...account, ...JSON.parse(localStorage.getItem(ACCOUNT_KEY) || "{}") };
+  } catch (e) {
+    // a damaged entry just means signing in again
+  }
+
+  const saveAccount = (changes) => {
+    account = { ...account, ...changes };
+    try {
+      if (account.token) localStorage.setItem(ACCOUNT_KEY, JSON.stringify(account));
+      else localStorage.removeItem(ACCOUNT_KEY);
+    } catch (e) {
+      updateDebug("Couldn't save sign-in: " + e.message);
+    }
+  };
+
+  const tokenFromSignIn = location.hash.match(/[#&]access_token=([^&]+)/);
+  if (tokenFromSignIn) {
+    saveAccount({ token: decodeURIComponent(tokenFromSignIn[1]), session: GUEST });
+    history.replaceState(null, "", location.pathname + location.search); // keep it out of the address bar
+  }
+
+  function renderAccount() {
+    const { signedIn, name, label, loginUrl } = account.session;
+    accountBtn.hidden = !signedIn && !loginUrl;
+    accountBtn.textContent = signedIn ? `👷 ${name || label}` : "Sign in";
+    accountBtn.title = signedIn
+      ? `Signed in as ${label}. Click to sign out.`
+      : "Sign in as a Master Plumbers member";
+  }
+
+  function signOut() {
+    saveAccount({ token: null, session: { ...GUEST, loginUrl: account.session.loginUrl } });
+    renderAccount();
+  }
+
+  // fetch for the Netlify functions: adds the sign-in token, and signs out if it's refused
+  const callToby = async (url, init = {}) => {
+    const headers = { ...init.headers };
+    if (account.token) headers.Authorization = `Bearer ${account.token}`;
+    const res = await fetch(url, { ...init, headers });
+    if (res.status === 401 && account.token) {
+      signOut();
+      throw new SignedOutError("Sign-in expired");
+    }
+    return res;
+  };
+
+  // Ask who we are signed in as; offline, the last answer stands
+  async function refreshSession() {
+    try {
+      const res = await callToby(sessionEndpoint);
+      if (!res.ok) throw new Error(await readError(res));
+      saveAccount({ session: await res.json() });
+    } catch (err) {
+      updateDebug("Session check failed: " + err.message);
+    }
+    renderAccount();
+  }
+
+  accountBtn.addEventListener("click", () => {
+    if (account.session.signedIn) {
+      if (confirm("Sign out of Toby? Your chats stay on this device.")) signOut();
+      return;
+    }
+    const loginUrl = account.session.loginUrl;
+    const target = new URL(loginUrl.startsWith("/") ? apiBase + loginUrl : loginUrl, location.href);
+    target.searchParams.set("return_to", location.href.split("#")[0]);
+    location.href = target.href;
+  });
+
   // === Safe Base64 Encoder ===
   function arrayBufferToBase64(buffer) {
     let binary = "";
@@ -55,15 +251,25 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // === Speech queue ===
   let speechQueue = Promise.resolve();
+  let pendingSpeech = 0;
+  let speechGeneration = 0; // bumped by stopSpeaking so sentences already queued are skipped
   const enqueueSpeech = (fn) => {
-    speechQueue = speechQueue.then(fn).catch((err) => {
-      console.error("🔇 Speech error:", err);
-      updateDebug("Speech error: " + err.message);
-    });
+    const generation = speechGeneration;
+    pendingSpeech++;
+    speechQueue = speechQueue
+      .then(() => (generation === speechGeneration ? fn() : undefined))
+      .catch((err) => {
+        console.error("🔇 Speech error:", err);
+        updateDebug("Speech error: " + err.message);
+      })
+      .finally(() => {
+        pendingSpeech--;
+      });
   };
 
   // === Autoplay unlock ===
   async function unlockAutoplay() {
+    if (!voice) return; // nothing will be played
     try {
       const ctx = new (window.AudioContext || window.webkitAudioContext)();
       const source = ctx.createBufferSource();
@@ -81,7 +287,7 @@ document.addEventListener("DOMContentLoaded", () => {
   // === Speech unlock for mobile ===
   function unlockSpeech() {
     try {
-      if (!("speechSynthesis" in window)) return;
+      if (!voice || !("speechSynthesis" in window)) return;
       const utterance = new SpeechSynthesisUtterance(".");
       utterance.volume = 0;
       window.speechSynthesis.speak(utterance);
@@ -92,36 +298,54 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // === Strip HTML for speech ===
+  // Block elements become line breaks (and table cells commas) so they don't run together
   function stripHtmlTags(html) {
     let div = document.createElement("div");
     div.innerHTML = html;
-    return div.textContent || div.innerText || "";
+    div
+      .querySelectorAll("p, li, h1, h2, h3, h4, h5, h6, tr, blockquote, pre, br")
+      .forEach((el) => el.after("\n"));
+    div.querySelectorAll("td, th").forEach((el) => el.after(", "));
+    return (div.textContent || div.innerText || "").replace(/\n{2,}/g, "\n").trim();
   }
 
-  // === Pick the best available natural voice ===
+  // === Pick the browser voice: the one chosen in settings, else the most natural in our language ===
   let preferredVoice = null;
+  const speechLang = () => navigator.language || document.documentElement.lang || "en-NZ";
+
   function pickBestVoice() {
+    if (!("speechSynthesis" in window)) return null;
     const voices = window.speechSynthesis.getVoices();
     if (!voices.length) return null;
 
+    const chosen = voices.find((v) => v.voiceURI === TobySettings.get().browserVoice);
+    if (chosen) return chosen;
+
+    const lang = speechLang().slice(0, 2).toLowerCase();
+    const local = voices.filter((v) => v.lang.toLowerCase().startsWith(lang));
+    const pool = local.length ? local : voices;
+
     // Priorities
     const priorities = ["Siri", "Neural", "Google", "Natural"];
 
     for (const keyword of priorities) {
-      const match = voices.find((v) => v.name.includes(keyword));
+      const match = pool.find((v) => v.name.includes(keyword));
       if (match) return match;
     }
 
-    return voices[0]; // fallback
+    return pool[0]; // fallback
   }
 
   // ensure voices are loaded
-  window.speechSynthesis.onvoiceschanged = () => {
-    preferredVoice = pickBestVoice();
-    if (preferredVoice) {
-      updateDebug(`Using voice: ${preferredVoice.name}`);
-    }
-  };
+  if ("speechSynthesis" in window) {
+    window.speechSynthesis.onvoiceschanged = () => {
+      preferredVoice = pickBestVoice();
+      fillBrowserVoices();
+      if (preferredVoice) {
+        updateDebug(`Using voice: ${preferredVoice.name}`);
+      }
+    };
+  }
 
   // === Speech methods ===
   const speakBrowser = (text) => {
@@ -132,9 +356,12 @@ document.addEventListener("DOMContentLoaded", () => {
         new Promise((resolve) => {
           if (!("speechSynthesis" in window)) return resolve();
           window.speechSynthesis.cancel();
+          const { rate, pitch } = TobySettings.get();
           const utterance = new SpeechSynthesisUtterance(plainText);
-          utterance.lang = "en-US";
+          utterance.lang = preferredVoice ? preferredVoice.lang : speechLang();
           if (preferredVoice) utterance.voice = preferredVoice;
+          utterance.rate = rate;
+          utterance.pitch = pitch;
           utterance.onend = resolve;
           utterance.onerror = (err) => {
             updateDebug("Speech synthesis error: " + err.message);
@@ -145,23 +372,85 @@ document.addEventListener("DOMContentLoaded", () => {
     );
   };
 
-  const generateServerTTS = async (text) => {
+  // Server voice, fetched only when asked for. tts streams audio/mpeg and caches it, and
+  // a GET URL lets the <audio> element start playing before the whole file has arrived.
+  // Signed in, the token must not go in a URL (logs, history, caches), so the audio is fetched
+  // with the Authorization header and played once it has all arrived.
+  let serverAudio = null;
+
+  const stopServerSpeech = () => {
+    if (serverAudio) serverAudio.pause();
+    serverAudio = null;
+  };
+
+  // Past this, the text is POSTed: CDNs and proxies may refuse a GET URL that long
+  const MAX_TTS_URL_LENGTH = 2000;
+
+  const fetchSpeech = async (url, init) => {
+    const res = await callToby(url, init);
+    if (!res.ok) throw new Error(await readError(res));
+    return URL.createObjectURL(await res.blob());
+  };
+
+  const playServerSpeech = async (text) => {
+    if (!text || !text.trim()) return;
+    window.speechSynthesis.cancel();
+    stopServerSpeech();
+    const { serverVoice, rate } = TobySettings.get();
+    const query = { text, voice: serverVoice };
+    if (thread_id) query.thread_id = thread_id; // so forgetting the chat deletes its audio too
+    const url = `${ttsEndpoint}?${new URLSearchParams(query)}`;
+    const audio = new Audio();
+    serverAudio = audio;
+    audio.onended = () => {
+      if (serverAudio === audio) serverAudio = null;
+      if (audio.src.startsWith("blob:")) URL.revokeObjectURL(audio.src);
+    };
     try {
-      const res = await fetch(ttsEndpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text, voice: "alloy", format: "mp3" }),
-      });
-      if (!res.ok) throw new Error(await res.text());
-      const { audioBase64, mimeType } = await res.json();
-      return `data:${mimeType};base64,${audioBase64}`;
-    } catch (e) {
-      updateDebug("TTS error: " + e.message);
-      return null;
+      let src = url; // a plain GET starts playing while the audio streams in
+      if (url.length > MAX_TTS_URL_LENGTH) {
+        src = await fetchSpeech(ttsEndpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(query),
+        });
+      } else if (account.token) {
+        src = await fetchSpeech(url);
+      }
+      if (serverAudio !== audio) return; // stopped while the audio was loading
+      audio.src = src;
+      audio.playbackRate = rate;
+      await audio.play();
+    } catch (err) {
+      // Rate limited, too long or offline: the browser voice is better than silence
+      updateDebug("TTS error: " + err.message);
+      if (serverAudio === audio) speakBrowser(text);
     }
   };
 
+  // Narration and 🔊 use whichever voice the settings prefer
+  const speak = (text) =>
+    TobySettings.get().preferServerAudio ? playServerSpeech(text) : speakBrowser(text);
+
+  const isSpeaking = () =>
+    pendingSpeech > 0 || serverAudio !== null || ("speechSynthesis" in window && window.speechSynthesis.speaking);
+
+  // Silence Toby now, including sentences still waiting in the queue
+  const stopSpeaking = () => {
+    speechGeneration++;
+    if ("speechSynthesis" in window) window.speechSynthesis.cancel();
+    stopServerSpeech();
+  };
+
   // === Recording ===
+  // A long recording is cut into pieces at a pause (or SEGMENT_MAX_MS at the latest), each its own
+  // audio file. Pieces are transcribed while the speaker carries on, then joined into one question.
+  const MAX_RECORDING_MS = 120000; // stops even if the noise never dies down
+  const SEGMENT_MIN_MS = 20000; // cut at the first pause after this
+  const SEGMENT_MAX_MS = 45000;
+  const AUDIO_BITS_PER_SECOND = 24000; // plenty for speech, and keeps pieces far below the upload limit
+  const PROMPT_CHARS = 200; // text so far, sent with the next piece so the words carry on smoothly
+
   const pickAudioMime = () => {
     if (MediaRecorder.isTypeSupported("audio/webm;codecs=opus"))
       return "audio/webm;codecs=opus";
@@ -172,82 +461,64 @@ document.addEventListener("DOMContentLoaded", () => {
 
   async function startRecording() {
     try {
-      hasStopped = false;
-      chunks = [];
-
-      mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      const mimeType = pickAudioMime();
-      mediaRecorder = new MediaRecorder(
-        mediaStream,
-        mimeType ? { mimeType } : undefined
-      );
-
-      mediaRecorder.ondataavailable = (e) => {
-        if (e.data && e.data.size > 0) chunks.push(e.data);
+      const stream = await openMic();
+      const session = {
+        stream,
+        recorder: null,
+        startedAt: Date.now(),
+        segmentStartedAt: 0,
+        transcribed: Promise.resolve([]), // transcribe results, one per piece, in order
+        discarded: false,
       };
+      recording = session;
 
-      mediaRecorder.onstop = async () => {
-        if (hasStopped) return;
-        hasStopped = true;
-
-        if (!chunks.length) return;
-        updateDebug("Recording stopped, sending for transcription…");
-
-        const blob = new Blob(chunks, {
-          type: mediaRecorder.mimeType || "audio/webm",
-        });
-
-        if (!isTranscribing) {
-          await sendAudioForTranscription(blob);
-        }
-
-        if (mediaStream) {
-          mediaStream.getTracks().forEach((t) => t.stop());
-          mediaStream = null;
-        }
-      };
-
-      // 🔊 Silence detection
-      const audioContext = new AudioContext();
-      const source = audioContext.createMediaStreamSource(mediaStream);
-      const analyser = audioContext.createAnalyser();
-      analyser.fftSize = 256;
-      source.connect(analyser);
-      const data = new Uint8Array(analyser.fftSize);
-
-      let silenceStart = null;
-      const maxSilence = 2000;
+      // 🔊 Silence detection, calibrated to the room (voice-activity.js).
+      // Hands-free waits for the question to begin before timing the pause that ends it.
+      const meter = openLevelMeter(stream);
+      levelMeter = meter;
+      const detector = TobyVoiceActivity.createDetector({
+        sensitivity: TobySettings.get().micSensitivity,
+        waitForVoice: handsFree,
+      });
       function checkSilence() {
-        if (hasStopped || !isRecording) return;
-        analyser.getByteTimeDomainData(data);
-        const rms = Math.sqrt(
-          data.reduce((sum, v) => {
-            const norm = (v - 128) / 128;
-            return sum + norm * norm;
-          }, 0) / data.length
+        if (recording !== session || !isRecording) return;
+        const volume = meter.read();
+        const vad = detector.update(volume);
+        showMicLevel(volume, vad);
+        updateDebug(
+          vad.calibrating
+            ? `🎙️ Calibrating… Vol: ${volume.toFixed(2)}`
+            : `🎙️ Vol: ${volume.toFixed(2)} | Floor: ${vad.floor.toFixed(2)} | Threshold: ${vad.threshold.toFixed(2)}`
         );
-        const volume = rms * 100;
-        updateDebug(`🎙️ Rec: ${isRecording} | Vol: ${volume.toFixed(2)}`);
-        if (volume < 5) {
-          if (!silenceStart) silenceStart = Date.now();
-          else if (Date.now() - silenceStart > maxSilence) {
-            stopRecording();
-            updateDebug("Stopped by silence");
-            return;
-          }
-        } else {
-          silenceStart = null;
+        if (vad.ended) {
+          stopRecording();
+          updateDebug("Stopped by silence");
+          return;
+        }
+        const segmentMs = Date.now() - session.segmentStartedAt;
+        if ((segmentMs > SEGMENT_MIN_MS && !vad.voice) || segmentMs > SEGMENT_MAX_MS) {
+          recordSegment(session);
         }
         requestAnimationFrame(checkSilence);
       }
-      checkSilence();
 
-      mediaRecorder.start();
+      recordSegment(session);
       isRecording = true;
+      checkSilence(); // after isRecording is set, or the first check ends the loop
+      // A timer rather than the frame loop, which pauses in background tabs
+      maxLengthTimer = setTimeout(() => {
+        updateDebug("Stopped at the maximum recording length");
+        stopRecording();
+      }, MAX_RECORDING_MS);
       micBtn.textContent = "🛑";
+      if (handsFree) setVoiceState("listening");
       updateDebug("Recording started…");
     } catch (err) {
       updateDebug("Mic error: " + err.message);
+      if (recording) releaseMic(recording.stream);
+      recording = null;
+      closeLevelMeter();
+      if (handsFree) stopHandsFree();
       createBubble(
         "⚠️ I can't access your microphone. Please allow mic access in your browser and OS settings.",
         "bot"
@@ -255,52 +526,324 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // Start the next piece, then stop the current one: the two overlap slightly rather than drop a word
+  function recordSegment(session) {
+    const mimeType = pickAudioMime();
+    const recorder = new MediaRecorder(session.stream, {
+      ...(mimeType ? { mimeType } : {}),
+      audioBitsPerSecond: AUDIO_BITS_PER_SECOND,
+    });
+    const offset = (Date.now() - session.startedAt) / 1000;
+    const parts = [];
+
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) parts.push(e.data);
+    };
+
+    recorder.onstop = () => {
+      if (session.discarded) return;
+      if (parts.length) {
+        const blob = new Blob(parts, { type: recorder.mimeType || mimeType || "audio/webm" });
+        // One piece at a time, so each can follow on from the text and language before it
+        session.transcribed = session.transcribed.then(async (pieces) => [
+          ...pieces,
+          await transcribePiece(blob, offset, pieces),
+        ]);
+        // A failed piece spoils the transcript: stop now instead of after the speaker has finished
+        session.transcribed.catch(() => {
+          if (recording === session) stopRecording();
+        });
+      }
+      // The last piece ends the recording, whether stopRecording or the browser stopped it
+      if (session.recorder === recorder) finishRecording(session);
+    };
+
+    const previous = session.recorder;
+    session.recorder = recorder;
+    session.segmentStartedAt = Date.now();
+    recorder.start();
+    if (previous) {
+      updateDebug(`Recording piece ${offset.toFixed(0)}s in…`);
+      previous.stop();
+    }
+  }
+
   function stopRecording() {
-    if (!isRecording || !mediaRecorder) return;
+    if (!isRecording || !recording) return;
+    const session = recording;
+    recording = null;
     isRecording = false;
+    closeLevelMeter();
     micBtn.textContent = "🎙️";
+    if (handsFree) setVoiceState("thinking");
     updateDebug("Stopping recording...");
-    mediaRecorder.stop(); // triggers onstop once
+    session.recorder.stop(); // its onstop finishes the recording
+  }
+
+  // Stop without transcribing what was recorded
+  function discardRecording() {
+    if (!isRecording || !recording) return;
+    const session = recording;
+    recording = null;
+    session.discarded = true;
+    isRecording = false;
+    closeLevelMeter();
+    micBtn.textContent = "🎙️";
+    session.recorder.stop();
+    releaseMic(session.stream);
+  }
+
+  async function finishRecording(session) {
+    if (recording === session) {
+      recording = null;
+      isRecording = false;
+      closeLevelMeter();
+      micBtn.textContent = "🎙️";
+    }
+    releaseMic(session.stream);
+    updateDebug("Recording stopped, finishing transcription…");
+    await handleTranscript(await collectTranscript(session));
+  }
+
+  // RMS level of the analyser's current frame, 0–100
+  function readVolume(analyser, data) {
+    analyser.getByteTimeDomainData(data);
+    const rms = Math.sqrt(
+      data.reduce((sum, v) => {
+        const norm = (v - 128) / 128;
+        return sum + norm * norm;
+      }, 0) / data.length
+    );
+    return rms * 100;
+  }
+
+  // Analyser on a mic stream; close() releases its AudioContext
+  function openLevelMeter(stream) {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 256;
+    audioContext.createMediaStreamSource(stream).connect(analyser);
+    const data = new Uint8Array(analyser.fftSize);
+    return {
+      read: () => readVolume(analyser, data),
+      close: () => {
+        if (audioContext.state !== "closed") audioContext.close();
+      },
+    };
+  }
+
+  function closeLevelMeter() {
+    clearTimeout(maxLengthTimer);
+    maxLengthTimer = null;
+    if (levelMeter) levelMeter.close();
+    levelMeter = null;
+    showMicLevel(0, null);
+  }
+
+  // Live level on the mic button, scaled so the speech threshold sits halfway
+  function showMicLevel(volume, vad) {
+    const ready = vad && !vad.calibrating;
+    const level = ready ? Math.min(100, (volume / (vad.threshold * 2)) * 100) : 0;
+    micBtn.style.setProperty("--mic-level", `${level.toFixed(0)}%`);
+    micBtn.classList.toggle("calibrating", Boolean(vad && vad.calibrating));
+    micBtn.classList.toggle("hearing-voice", Boolean(ready && vad.voice));
   }
 
-  async function sendAudioForTranscription(blob) {
-    if (isTranscribing) return;
-    isTranscribing = true;
+  // Mono at 16 kHz is all transcription needs; browsers that can't provide it use their default
+  const MIC_CONSTRAINTS = {
+    channelCount: 1,
+    sampleRate: 16000,
+    echoCancellation: true,
+    noiseSuppression: true,
+  };
+
+  // Hands-free keeps one mic stream open for the whole session; otherwise each recording opens its own
+  let handsFreeStream = null;
+
+  async function openMic() {
+    if (handsFree && handsFreeStream && handsFreeStream.active) return handsFreeStream;
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: MIC_CONSTRAINTS });
+    if (handsFree) handsFreeStream = stream;
+    return stream;
+  }
+
+  function releaseMic(stream) {
+    if (stream && stream !== handsFreeStream) stream.getTracks().forEach((t) => t.stop());
+  }
+
+  // Send one piece of a recording as raw audio, with the text and language so far as hints
+  async function transcribePiece(blob, offset, previous) {
+    const params = new URLSearchParams({ offset: offset.toFixed(3) });
+    const textSoFar = previous.map((piece) => piece.text).join(" ").trim();
+    if (textSoFar) params.set("prompt", textSoFar.slice(-PROMPT_CHARS));
+    const language = previous.map((piece) => piece.language).find(Boolean);
+    if (language) params.set("language", language);
+
+    const res = await callToby(`${transcribeEndpoint}?${params}`, {
+      method: "POST",
+      headers: { "Content-Type": blob.type || "audio/webm" },
+      body: blob,
+    });
+    await throwIfRateLimited(res);
+    await throwIfOffline(res);
+    if (!res.ok) throw new TranscriptionError(res.status, await readError(res));
+    return res.json();
+  }
 
+  // Resolves with the joined transcript ("" if nothing was said), or null if it failed (shown in the chat)
+  async function collectTranscript(session) {
     try {
-      const ab = await blob.arrayBuffer();
-      const base64 = arrayBufferToBase64(ab);
+      const pieces = await session.transcribed;
+      const text = pieces.map((piece) => piece.text).filter(Boolean).join(" ");
+      const timings = pieces.flatMap((piece) => piece.segments || []);
+      updateDebug(
+        `Transcribed ${pieces.length} piece(s), ${timings.length} segment(s)` +
+          (pieces[0] && pieces[0].language ? `, language ${pieces[0].language}` : "")
+      );
+      return text;
+    } catch (err) {
+      updateDebug("Transcription error: " + err.message);
+      createBubble(describeTranscriptionError(err), "bot");
+      return null;
+    }
+  }
 
-      const res = await fetch(transcribeEndpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          audioBase64: base64,
-          mimeType: blob.type || "audio/webm",
-          fileName: blob.type.includes("mp4")
-            ? "recording.mp4"
-            : "recording.webm",
-        }),
-      });
+  class TranscriptionError extends Error {
+    constructor(status, message) {
+      super(message);
+      this.status = status;
+    }
+  }
 
-      if (!res.ok) {
-        createBubble("🤖 I couldn't transcribe that audio. Can we try again?", "bot");
-        return;
-      }
-      const { text } = await res.json();
+  const describeTranscriptionError = (err) => {
+    if (err instanceof RateLimitError) return slowDownMessage(err);
+    if (err instanceof OfflineError) return "📡 I can't transcribe while you're offline. Please type your question.";
+    if (err instanceof SignedOutError) return signedOutMessage;
+    if (err instanceof TranscriptionError && err.status === 413) {
+      return "🎙️ That recording was too big to send. Please try a shorter message.";
+    }
+    if (err instanceof TranscriptionError) return "🤖 I couldn't transcribe that audio. Can we try again?";
+    return "⚠️ Something went wrong with transcription. Please try again.";
+  };
+
+  // A transcript is asked like a typed question. In hands-free mode "stop" ends the session,
+  // and once the reply has been spoken we listen for the next question.
+  async function handleTranscript(text) {
+    if (!handsFree) {
       if (text) {
         input.value = text;
         form.requestSubmit();
       }
+      return;
+    }
+    // Saying "stop" ends it; so does a failed transcription, rather than failing again on every loop
+    if (text === null || STOP_PHRASE.test(text)) {
+      updateDebug(text === null ? "Hands-free stopped after an error" : "Hands-free stopped by voice");
+      stopHandsFree();
+      return;
+    }
+    if (text) {
+      input.value = text;
+      await askToby();
+    }
+    await listenAgain();
+  }
+
+  // === Hands-free ===
+  // Listening → thinking → speaking → listening, until the user says "stop" or taps the button.
+  // Talking over Toby cuts him off and starts recording the new question.
+  const STOP_PHRASE = /^(stop|stop listening|stop hands[- ]?free)[.!]?$/i;
+  const BARGE_IN_MS = 250;
+  const VOICE_STATES = {
+    listening: "👂 Listening…",
+    thinking: "🤔 Thinking…",
+    speaking: "🗣️ Speaking…",
+  };
+
+  let handsFree = false;
+
+  function setVoiceState(state) {
+    voiceState.dataset.state = state;
+    voiceState.textContent = VOICE_STATES[state];
+    voiceState.hidden = false;
+  }
+
+  async function startHandsFree() {
+    handsFree = true;
+    handsFreeBtn.setAttribute("aria-pressed", "true");
+    updateDebug("Hands-free on");
+    if (!isRecording) await startRecording();
+  }
+
+  function stopHandsFree() {
+    handsFree = false;
+    handsFreeBtn.setAttribute("aria-pressed", "false");
+    voiceState.hidden = true;
+    discardRecording();
+    if (handsFreeStream) {
+      handsFreeStream.getTracks().forEach((t) => t.stop());
+      handsFreeStream = null;
+    }
+    updateDebug("Hands-free off");
+  }
+
+  // Wait until Toby has finished the reply (or been talked over), then record again
+  async function listenAgain() {
+    if (!handsFree) return;
+    if (isSpeaking()) {
+      setVoiceState("speaking");
+      await waitForSpeechOrBargeIn();
+    }
+    if (handsFree && !isRecording) await startRecording();
+  }
+
+  // Calibrating while Toby talks puts the echo of his voice that reaches the mic under the floor
+  async function waitForSpeechOrBargeIn() {
+    let meter = null;
+    try {
+      meter = openLevelMeter(await openMic());
+      const detector = TobyVoiceActivity.createDetector({
+        sensitivity: TobySettings.get().micSensitivity,
+        waitForVoice: true,
+      });
+
+      await new Promise((resolve) => {
+        let loudSince = null;
+        const check = () => {
+          if (!handsFree || !isSpeaking()) return resolve();
+          if (detector.update(meter.read()).voice) {
+            loudSince = loudSince || Date.now();
+            if (Date.now() - loudSince >= BARGE_IN_MS) {
+              updateDebug("Barge-in: speech stopped");
+              stopSpeaking();
+              return resolve();
+            }
+          } else {
+            loudSince = null;
+          }
+          requestAnimationFrame(check);
+        };
+        check();
+      });
     } catch (err) {
-      updateDebug("Transcription error: " + err.message);
-      createBubble("⚠️ Something went wrong with transcription. Please try again.", "bot");
+      // No mic to listen with: stopHandsFree follows when recording fails too
+      updateDebug("Barge-in unavailable: " + err.message);
     } finally {
-      isTranscribing = false;
+      if (meter) meter.close();
     }
   }
 
   // === Event handlers ===
+  handsFreeBtn.addEventListener("click", async () => {
+    if (handsFree) {
+      stopHandsFree();
+      return;
+    }
+    unlockSpeech();
+    await unlockAutoplay();
+    await startHandsFree();
+  });
+
   micBtn.addEventListener("click", async () => {
     unlockSpeech();
     await unlockAutoplay();
@@ -325,115 +868,709 @@ document.addEventListener("DOMContentLoaded", () => {
     input.style.height = input.scrollHeight + "px";
   });
 
-  form.addEventListener("submit", async (e) => {
+  form.addEventListener("submit", (e) => {
     e.preventDefault();
+    askToby();
+  });
+
+  // Send the typed (or transcribed) question and any photos; resolves once the reply is shown or queued
+  async function askToby() {
     unlockSpeech();
     await unlockAutoplay();
 
-    const message = input.value.trim();
+    const photos = pendingPhotos;
+    const message = input.value.trim() || (photos.length ? "What can you tell me about this photo?" : "");
     if (!message) return;
 
-    createBubble(message, "user");
+    clearPromptChips();
+    pendingPhotos = [];
+    renderPhotoTray();
+    const images = photos.map((photo) => photo.thumbnail);
+    const userBubble = createBubble(message, "user", { images });
+    const saved = await recordMessage("user", message, images.length ? { images } : {});
     input.value = "";
     input.style.height = "auto";
+
+    // Offline, or earlier questions in this chat are still waiting: queue so they go out in order
+    if (!navigator.onLine || (conversation && (await TobyOutbox.count(conversation.id).catch(() => 0)))) {
+      await queueMessage(saved, userBubble, photos);
+      return;
+    }
+
     const thinkingBubble = showSpinner();
     updateDebug("Message sent, waiting for reply…");
 
+    const conversationId = conversation && conversation.id;
+    const run = {
+      controller: new AbortController(),
+      run_id: null,
+      onRedacted: (redactions) => markRedactions(userBubble, message, redactions, conversationId, saved),
+      onSafety: showEmergency,
+    };
+    const { signal } = run.controller;
+    const timer = setTimeout(() => run.controller.abort(new RunError("timeout")), replyTimeoutMs);
+    signal.addEventListener("abort", () => {
+      if (run.run_id) cancelRun(thread_id, run.run_id);
+    });
+    activeRun = run;
+    stopGenBtn.hidden = false;
+
     try {
-      const startRes = await fetch(startRunEndpoint, {
+      const question = { message };
+      if (photos.length) question.image_file_ids = await uploadPhotos(photos, signal);
+
+      let result = null;
+      if (canStream) {
+        try {
+          result = await streamReply(question, thinkingBubble, run);
+        } catch (err) {
+          if (
+            err.streamStarted ||
+            signal.aborted ||
+            err instanceof RateLimitError ||
+            err instanceof OfflineError ||
+            err instanceof SignedOutError
+          ) {
+            throw err;
+          }
+          updateDebug("Streaming unavailable, polling instead: " + err.message);
+        }
+      }
+
+      if (result === null) {
+        result = await pollReply(question, run);
+        thinkingBubble.remove();
+        updateDebug("Reply received");
+        result.bubble = createBubble(result.reply, "bot", { sources: result.sources, cards: result.cards });
+      }
+      const savedReply = await recordMessage("bot", result.reply, {
+        sources: result.sources,
+        cards: result.cards,
+        followUps: result.followUps,
+      });
+      if (savedReply) addFeedbackControls(result.bubble, savedReply, message);
+      showPromptChips(result.followUps, "Ask Toby next");
+    } catch (err) {
+      // Whatever was in flight when we aborted, report the reason we aborted for
+      if (signal.aborted) err = signal.reason;
+      thinkingBubble.remove();
+      // Without a service worker a dropped connection is a plain fetch TypeError.
+      // Once a run exists the question already reached Toby, so it mustn't be queued again.
+      const offline =
+        err instanceof OfflineError || (err instanceof TypeError && !navigator.onLine);
+      if (offline && !run.run_id) {
+        updateDebug("Offline: question queued");
+        await queueMessage(saved, userBubble, photos);
+      } else {
+        updateDebug("Chat error: " + err.message);
+        createBubble(describeChatError(err), "bot");
+      }
+    } finally {
+      clearTimeout(timer);
+      activeRun = null;
+      stopGenBtn.hidden = true;
+    }
+  }
+
+  // === Photos ===
+  // Resized and re-encoded as JPEG before upload; upload-image enforces the same limits
+  const MAX_PHOTOS = 3;
+  const PHOTO_MAX_SIDE = 1600;
+  const PHOTO_MAX_BYTES = 4 * 1024 * 1024;
+  const THUMB_MAX_SIDE = 160;
+  let pendingPhotos = []; // { imageBase64, mimeType, thumbnail } waiting for the next message
+
+  // Thrown when upload-image rejects a photo; message is safe to show
+  class UploadError extends Error {}
+
+  const loadImage = async (file) => {
+    if ("createImageBitmap" in window) {
+      try {
+        return await createImageBitmap(file, { imageOrientation: "from-image" });
+      } catch (e) {
+        // fall back to an <img>, e.g. for formats createImageBitmap can't decode
+      }
+    }
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(img.src);
+        resolve(img);
+      };
+      img.onerror = () => reject(new Error("that image couldn't be opened"));
+      img.src = URL.createObjectURL(file);
+    });
+  };
+
+  const drawScaled = (image, maxSide) => {
+    const scale = Math.min(1, maxSide / Math.max(image.width, image.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff"; // transparent areas would otherwise turn black in a JPEG
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  };
+
+  const canvasToJpeg = (canvas, quality) =>
+    new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+
+  async function preparePhoto(file) {
+    if (!file.type.startsWith("image/")) throw new Error("that file isn't an image");
+    const image = await loadImage(file);
+    const canvas = drawScaled(image, PHOTO_MAX_SIDE);
+
+    // Step the quality down until it fits
+    let blob = null;
+    for (const quality of [0.82, 0.7, 0.55, 0.4]) {
+      blob = await canvasToJpeg(canvas, quality);
+      if (blob && blob.size <= PHOTO_MAX_BYTES) break;
+    }
+    if (!blob || blob.size > PHOTO_MAX_BYTES) throw new Error("that photo is too large");
+
+    return {
+      imageBase64: arrayBufferToBase64(await blob.arrayBuffer()),
+      mimeType: "image/jpeg",
+      thumbnail: drawScaled(image, THUMB_MAX_SIDE).toDataURL("image/jpeg", 0.7),
+    };
+  }
+
+  function renderPhotoTray() {
+    photoTray.innerHTML = "";
+    photoTray.hidden = !pendingPhotos.length;
+    pendingPhotos.forEach((photo, i) => {
+      const chip = document.createElement("div");
+      chip.className = "photo-chip";
+      const img = document.createElement("img");
+      img.src = photo.thumbnail;
+      img.alt = `Photo ${i + 1}`;
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.textContent = "✕";
+      removeBtn.title = "Remove photo";
+      removeBtn.onclick = () => {
+        pendingPhotos.splice(i, 1);
+        renderPhotoTray();
+      };
+      chip.append(img, removeBtn);
+      photoTray.appendChild(chip);
+    });
+    photoBtn.disabled = pendingPhotos.length >= MAX_PHOTOS;
+  }
+
+  photoBtn.addEventListener("click", () => photoInput.click());
+
+  photoInput.addEventListener("change", async () => {
+    const files = [...photoInput.files].slice(0, MAX_PHOTOS - pendingPhotos.length);
+    photoInput.value = "";
+    for (const file of files) {
+      try {
+        pendingPhotos.push(await preparePhoto(file));
+      } catch (err) {
+        updateDebug("Photo error: " + err.message);
+        createBubble(`📷 I couldn't use that photo: ${err.message}.`, "bot", { narrate: false });
+      }
+    }
+    renderPhotoTray();
+  });
+
+  // Upload each photo; resolves with the OpenAI file ids to attach to the message
+  async function uploadPhotos(photos, signal) {
+    const ids = [];
+    for (const { imageBase64, mimeType } of photos) {
+      const res = await callToby(uploadImageEndpoint, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message, thread_id }),
+        body: JSON.stringify({ imageBase64, mimeType }),
+        signal,
       });
-      if (!startRes.ok) throw new Error("start-run failed");
-      const { thread_id: newThreadId, run_id } = await startRes.json();
+      await throwIfRateLimited(res);
+      await throwIfOffline(res);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new UploadError(data.error ? data.error.message : `HTTP ${res.status}`);
+      ids.push(data.file_id);
+    }
+    return ids;
+  }
+
+  // === Run failures ===
+  // A run that ended without an answer; status is the OpenAI run status, or "stopped"/"timeout"
+  class RunError extends Error {
+    constructor(status, detail = "") {
+      super(`Run ended as ${status}${detail ? `: ${detail}` : ""}`);
+      this.status = status;
+      this.detail = detail;
+    }
+  }
 
-      thread_id = newThreadId;
-      let reply = "";
-      let completed = false;
+  const describeRunFailure = (err) => {
+    const detail = err.detail ? ` (${err.detail})` : "";
+    switch (err.status) {
+      case "stopped":
+        return "⏹️ Stopped. Ask again whenever you're ready.";
+      case "timeout":
+        return "⌛ Toby took too long to answer, so I stopped waiting. Please try again.";
+      case "cancelled":
+        return "⏹️ That answer was cancelled before it finished. Please ask again.";
+      case "expired":
+        return "⌛ That answer timed out on our side. Please try again.";
+      case "incomplete":
+        return `✂️ Toby's answer was cut short${detail}. Try asking a narrower question.`;
+      default:
+        return `⚠️ Toby couldn't finish that answer${detail}. Please try again.`;
+    }
+  };
 
-      while (!completed) {
-        const checkRes = await fetch(checkRunEndpoint, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ thread_id, run_id }),
-        });
+  const describeChatError = (err) => {
+    if (err instanceof RunError) return describeRunFailure(err);
+    if (err instanceof RateLimitError) return slowDownMessage(err);
+    if (err instanceof SignedOutError) return signedOutMessage;
+    if (err instanceof UploadError) return `📷 I couldn't send your photo: ${err.message}`;
+    return "🤖 My circuits got tangled. Can we try that again?";
+  };
 
-        if (checkRes.status === 202) {
-          updateDebug("Bot thinking…");
-          await new Promise((r) => setTimeout(r, 1000));
-        } else if (checkRes.ok) {
-          const data = await checkRes.json();
-          reply = data.reply || "(No response)";
-          completed = true;
-        } else {
-          throw new Error("check-run failed");
+  const runFailureDetail = (data) =>
+    data.last_error?.message || data.incomplete_details?.reason || "";
+
+  const cancelRun = (threadId, runId) => {
+    callToby(cancelRunEndpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ thread_id: threadId, run_id: runId }),
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && updateDebug(`Run ${data.status}`))
+      .catch((err) => updateDebug("Cancel error: " + err.message));
+  };
+
+  // Resolves after ms, or straight away if the signal aborts
+  const sleep = (ms, signal) =>
+    new Promise((resolve) => {
+      const t = setTimeout(resolve, ms);
+      signal.addEventListener("abort", () => {
+        clearTimeout(t);
+        resolve();
+      });
+    });
+
+  // === Emergency banner ===
+  // The chat functions flag questions that sound like an emergency (netlify/lib/safety.js) and send
+  // what to do, shown above the chat until dismissed while Toby's answer arrives as usual.
+  // safety: { emergency, title, steps }
+  function showEmergency(safety) {
+    if (!safety) return;
+    emergencyBanner.innerHTML = "";
+
+    const title = document.createElement("strong");
+    title.textContent = `⚠️ ${safety.title}`;
+    const steps = document.createElement("ol");
+    for (const step of safety.steps) {
+      const li = document.createElement("li");
+      li.textContent = step;
+      steps.appendChild(li);
+    }
+
+    const call = document.createElement("a");
+    call.href = "tel:111";
+    call.className = "emergency-call";
+    call.textContent = "📞 Call 111";
+    const dismiss = document.createElement("button");
+    dismiss.type = "button";
+    dismiss.className = "emergency-dismiss";
+    dismiss.textContent = "✕";
+    dismiss.title = "Hide these instructions";
+    dismiss.onclick = hideEmergency;
+
+    emergencyBanner.dataset.emergency = safety.emergency;
+    emergencyBanner.append(dismiss, title, steps, call);
+    emergencyBanner.hidden = false;
+    updateDebug(`Emergency instructions shown (${safety.emergency})`);
+  }
+
+  function hideEmergency() {
+    emergencyBanner.hidden = true;
+    emergencyBanner.innerHTML = "";
+  }
+
+  // A question that is refused or fails still carries its emergency banner in the error envelope
+  const showSafetyFromError = async (res, run) => {
+    if (res.ok) return;
+    try {
+      run.onSafety((await res.clone().json()).safety);
+    } catch (e) {
+      // not a function's JSON envelope
+    }
+  };
+
+  // === Polling reply (fallback) ===
+  // question: { message, image_file_ids? }
+  async function pollReply(question, run) {
+    const { signal } = run.controller;
+    const startRes = await callToby(startRunEndpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...question, thread_id }),
+      signal,
+    });
+    await showSafetyFromError(startRes, run);
+    await throwIfRateLimited(startRes);
+    await throwIfOffline(startRes);
+    if (!startRes.ok) throw new Error("start-run failed: " + (await readError(startRes)));
+    const { thread_id: newThreadId, run_id, redactions, safety } = await startRes.json();
+
+    run.onSafety(safety);
+    rememberThread(newThreadId);
+    run.run_id = run_id;
+    run.onRedacted(redactions);
+
+    while (true) {
+      if (signal.aborted) throw signal.reason;
+
+      const checkRes = await callToby(checkRunEndpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ thread_id, run_id }),
+        signal,
+      });
+
+      if (checkRes.status === 202) {
+        updateDebug("Bot thinking…");
+        await sleep(1000, signal);
+      } else if (checkRes.ok) {
+        const data = await checkRes.json();
+        if (data.status && data.status !== "completed") {
+          throw new RunError(data.status, runFailureDetail(data));
+        }
+        return {
+          reply: data.reply || "(No response)",
+          sources: data.sources || [],
+          cards: data.cards || [],
+          followUps: data.follow_ups || [],
+        };
+      } else {
+        throw new Error("check-run failed: " + (await readError(checkRes)));
+      }
+    }
+  }
+
+  // === Streaming reply ===
+  // Parse a text/event-stream body into { event, data } objects
+  async function* readServerEvents(res) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = "message";
+        let data = "";
+        for (const line of frame.split("\n")) {
+          if (line.startsWith("event:")) event = line.slice(6).trim();
+          else if (line.startsWith("data:")) data += line.slice(5).trim();
         }
+        if (data) yield { event, data: JSON.parse(data) };
       }
+    }
+  }
 
+  // Index just past the last complete sentence in text, or -1
+  const lastSentenceEnd = (text) => {
+    const re = /[.!?…](?=\s)/g;
+    let end = -1;
+    let match;
+    while ((match = re.exec(text))) end = match.index + match[0].length;
+    return end;
+  };
+
+  // Returns { reply, sources, cards, bubble }, or null if the stream never started (caller falls back to polling)
+  async function streamReply(question, thinkingBubble, run) {
+    const res = await callToby(streamRunEndpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...question, thread_id }),
+      signal: run.controller.signal,
+    });
+    await showSafetyFromError(res, run);
+    await throwIfRateLimited(res);
+    await throwIfOffline(res);
+    const type = res.headers.get("Content-Type") || "";
+    if (!res.ok || !res.body || !type.includes("text/event-stream")) return null;
+
+    let bubble = null;
+    let text = "";
+    let speech = "";
+    let spoken = 0;
+    let cards = [];
+
+    const ensureBubble = () => {
+      if (bubble) return;
       thinkingBubble.remove();
-      updateDebug("Reply received");
-      createBubble(reply, "bot");
+      bubble = createBubble("", "bot", { narrate: false });
+      updateDebug("Streaming reply…");
+    };
+
+    // Browser speech narrates each complete sentence as soon as it arrives.
+    // Server audio needs the whole answer, so it starts once the stream is done.
+    const { preferServerAudio } = TobySettings.get();
+    const autoNarrate = voice && TobySettings.get().autoNarrate;
+    const narrateSentences = (final) => {
+      if (!autoNarrate || preferServerAudio) return;
+      const end = final ? speech.length : lastSentenceEnd(speech);
+      if (end > spoken) {
+        speakBrowser(speech.slice(spoken, end));
+        spoken = end;
+      }
+    };
+
+    try {
+      for await (const { event, data } of readServerEvents(res)) {
+        if (event === "safety") {
+          run.onSafety(data.safety);
+        } else if (event === "run") {
+          rememberThread(data.thread_id);
+          run.run_id = data.run_id;
+          run.onRedacted(data.redactions);
+        } else if (event === "cards") {
+          // Tool results (e.g. directory matches) arrive before the answer that describes them
+          ensureBubble();
+          cards = [...cards, ...data.cards];
+          speech = renderBotContent(bubble, text, [], cards);
+          messages.scrollTop = messages.scrollHeight;
+        } else if (event === "delta") {
+          ensureBubble();
+          text += data.text;
+          speech = renderBotContent(bubble, text, [], cards);
+          narrateSentences(false);
+          messages.scrollTop = messages.scrollHeight;
+        } else if (event === "done") {
+          if (data.status !== "completed") {
+            throw new RunError(data.status, runFailureDetail(data));
+          }
+          // Finish narrating what streamed before swapping in the footnoted final text
+          narrateSentences(true);
+          ensureBubble();
+          const result = {
+            reply: data.reply,
+            sources: data.sources || [],
+            cards: data.cards || cards,
+            followUps: data.follow_ups || [],
+            bubble,
+          };
+          const finalSpeech = renderBotContent(bubble, result.reply, result.sources, result.cards);
+          if (autoNarrate && preferServerAudio) playServerSpeech(finalSpeech);
+          updateDebug("Reply received");
+          return result;
+        } else if (event === "error") {
+          throw new Error(`${data.error.code}: ${data.error.message}`);
+        }
+      }
+      throw new Error("Stream ended early");
     } catch (err) {
-      updateDebug("Chat error: " + err.message);
-      thinkingBubble.remove();
-      createBubble("🤖 My circuits got tangled. Can we try that again?", "bot");
+      // The message may already be on the thread, so retrying via polling could post it twice.
+      // Any partial answer stays on screen above the failure message.
+      err.streamStarted = true;
+      throw err;
     }
-  });
+  }
 
   // === Chat helpers ===
-  const formatMarkdown = (text) => {
-    return text
-      .replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>")
-      .replace(/^(\d+)\.\s+(.*)$/gm, "<p><strong>$1.</strong> $2</p>")
-      .replace(/\n{2,}/g, "<br><br>")
-      .replace(/\n/g, "<br>");
-  };
-
   const stripCitations = (text) => {
     return text.replace(/【\d+:\d+†[^†【】]+(?:†[^【】]*)?】/g, "");
   };
 
-  const createBubble = (content, sender, narrate = true) => {
+  const { escapeHtml } = TobyMarkdown;
+
+  // Footnote references as returned by check-run / stream-run, e.g. [^2]
+  const FOOTNOTE_REF = /\[\^(\d+)\]/g;
+
+  const renderSources = (sources) => {
+    if (!sources || !sources.length) return "";
+    const items = sources
+      .map(
+        (source) =>
+          `<li><strong>${escapeHtml(source.fileName)}</strong>` +
+          (source.quote ? `<blockquote>${escapeHtml(source.quote)}</blockquote>` : "") +
+          "</li>"
+      )
+      .join("");
+    return `<details class="sources"><summary>Sources (${sources.length})</summary><ol>${items}</ol></details>`;
+  };
+
+  // Contact cards from tools such as the Master Plumbers directory lookup
+  const SAFE_WEBSITE = /^https?:\/\//i;
+  const renderCards = (cards) => {
+    if (!cards || !cards.length) return "";
+    const items = cards
+      .map((card) => {
+        const lines = [];
+        if (card.phone) {
+          const tel = card.phone.replace(/[^\d+]/g, "");
+          lines.push(`📞 <a href="tel:${escapeHtml(tel)}">${escapeHtml(card.phone)}</a>`);
+        }
+        if (card.email) {
+          lines.push(`✉️ <a href="mailto:${escapeHtml(card.email)}">${escapeHtml(card.email)}</a>`);
+        }
+        if (card.website && SAFE_WEBSITE.test(card.website)) {
+          const label = card.website.replace(SAFE_WEBSITE, "").replace(/\/$/, "");
+          lines.push(
+            `🌐 <a href="${escapeHtml(card.website)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`
+          );
+        }
+        if (card.address) lines.push(`📍 ${escapeHtml(card.address)}`);
+        return (
+          `<li class="contact-card"><strong>${escapeHtml(card.title)}</strong>` +
+          (card.subtitle ? `<span class="contact-subtitle">${escapeHtml(card.subtitle)}</span>` : "") +
+          lines.map((line) => `<span class="contact-line">${line}</span>`).join("") +
+          "</li>"
+        );
+      })
+      .join("");
+    return `<ul class="contact-cards">${items}</ul>`;
+  };
+
+  // Turn footnote references into tappable numbers. Only text is touched, never attributes, and
+  // code is left as written since [^1] there is part of the example.
+  function linkFootnotes(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) =>
+        node.parentElement && node.parentElement.closest("code, pre")
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT,
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    for (const node of textNodes) {
+      const parts = node.data.split(FOOTNOTE_REF);
+      if (parts.length === 1) continue;
+      node.replaceWith(
+        ...parts.map((part, i) => {
+          if (i % 2 === 0) return part;
+          const ref = document.createElement("sup");
+          ref.className = "footnote-ref";
+          ref.dataset.source = part;
+          ref.title = "Show source";
+          ref.textContent = `[${part}]`;
+          return ref;
+        })
+      );
+    }
+  }
+
+  // Renders sanitized Markdown; returns the text to narrate (no markup, cards or footnote numbers)
+  const renderBotContent = (div, content, sources = [], cards = []) => {
+    const html = TobyMarkdown.render(stripCitations(content));
+    const answer = document.createElement("template");
+    answer.innerHTML = html;
+    linkFootnotes(answer.content);
+    div.replaceChildren(answer.content);
+    div.insertAdjacentHTML("beforeend", renderCards(cards) + renderSources(sources));
+
+    // Tapping a footnote opens the Sources list at that entry
+    div.querySelectorAll(".footnote-ref").forEach((ref) => {
+      ref.onclick = () => {
+        const details = div.querySelector(".sources");
+        if (!details) return;
+        details.open = true;
+        const item = details.querySelectorAll("li")[ref.dataset.source - 1];
+        if (item) item.scrollIntoView({ block: "nearest", behavior: "smooth" });
+      };
+    });
+
+    const speech = stripHtmlTags(html).replace(FOOTNOTE_REF, "");
+    div.dataset.speech = speech;
+    return speech;
+  };
+
+  // Typed text (never markup), with whatever the server kept from Toby marked
+  // (see netlify/lib/redact.js); redactions are { label, start, end } offsets into content
+  function renderUserText(div, content, redactions = []) {
+    div.textContent = "";
+    let cursor = 0;
+    for (const { label, start, end } of redactions) {
+      const mark = document.createElement("mark");
+      mark.className = "redacted";
+      mark.title = `Not sent to Toby (${label})`;
+      mark.textContent = content.slice(start, end);
+      div.append(content.slice(cursor, start), mark);
+      cursor = end;
+    }
+    div.append(content.slice(cursor));
+
+    if (redactions.length) {
+      const note = document.createElement("span");
+      note.className = "redaction-note";
+      note.textContent = `🔒 Kept from Toby: ${[...new Set(redactions.map((r) => r.label))].join(", ")}`;
+      div.appendChild(note);
+    }
+  }
+
+  // The server held part of a question back: mark it in the bubble and in the saved message
+  function markRedactions(bubble, content, redactions, conversationId, saved) {
+    if (!redactions || !redactions.length) return;
+    const photos = bubble.querySelector(".bubble-photos");
+    renderUserText(bubble, content, redactions);
+    if (photos) bubble.prepend(photos);
+    if (conversationId && saved) {
+      TobyStore.updateMessage(conversationId, saved.id, { redactions }).catch(storageError);
+    }
+  }
+
+  const createBubble = (
+    content,
+    sender,
+    { narrate = true, sources = [], cards = [], images = [], redactions = [] } = {}
+  ) => {
     const div = document.createElement("div");
-    const cleaned = stripCitations(content);
-    const formatted = formatMarkdown(cleaned);
 
     if (sender === "bot") {
       const wrapper = document.createElement("div");
       wrapper.className = "bot-message";
       const avatar = document.createElement("img");
-      avatar.src = "https://resilient-palmier-22bdf1.netlify.app/Toby-Avatar.svg";
+      avatar.src = avatarUrl;
       avatar.alt = "Toby";
       avatar.className = "avatar";
 
       div.className = "bubble bot";
-      div.innerHTML = formatted;
+      const cleaned = renderBotContent(div, content, sources, cards);
 
       const replayBtn = document.createElement("button");
       replayBtn.textContent = "🔊";
       replayBtn.className = "replay-btn";
-      replayBtn.onclick = async () => {
-        if (div.dataset.hqAudio) {
-          const audio = new Audio(div.dataset.hqAudio);
-          audio.play().catch(() => speakBrowser(cleaned));
-        } else {
-          speakBrowser(cleaned);
-        }
-      };
+      replayBtn.title = "Play this answer";
+      replayBtn.onclick = () => speak(div.dataset.speech);
 
       wrapper.appendChild(avatar);
       wrapper.appendChild(div);
-      wrapper.appendChild(replayBtn);
+      if (voice) wrapper.appendChild(replayBtn);
       messages.appendChild(wrapper);
 
-      if (narrate) speakBrowser(cleaned);
-      generateServerTTS(cleaned).then((url) => {
-        if (url) div.dataset.hqAudio = url;
-      });
+      if (voice && narrate && TobySettings.get().autoNarrate) speak(cleaned);
     } else {
       div.className = "bubble user";
-      div.innerHTML = content;
+      renderUserText(div, content, redactions);
+      const photos = (images || []).filter((src) => src.startsWith("data:image/"));
+      if (photos.length) {
+        const strip = document.createElement("div");
+        strip.className = "bubble-photos";
+        for (const src of photos) {
+          const img = document.createElement("img");
+          img.src = src;
+          img.alt = "Attached photo";
+          strip.appendChild(img);
+        }
+        div.prepend(strip);
+      }
       messages.appendChild(div);
     }
 
@@ -442,11 +1579,563 @@ document.addEventListener("DOMContentLoaded", () => {
   };
 
   const showSpinner = () => {
-    return createBubble('<span class="spinner"></span> Toby is thinking...', "bot", false);
+    const div = createBubble("", "bot", { narrate: false });
+    div.innerHTML = '<span class="spinner"></span> Toby is thinking...';
+    return div;
   };
 
+  // === Prompt chips ===
+  // Starter prompts on a new chat, and the follow-ups check-run or stream-run suggest under the
+  // latest answer. Tapping one submits it just as if it had been typed.
+  function showPromptChips(prompts, label) {
+    if (!prompts || !prompts.length) return;
+    const group = document.createElement("div");
+    group.className = "prompt-chips";
+    group.setAttribute("role", "group");
+    group.setAttribute("aria-label", label);
+    for (const prompt of prompts) {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "prompt-chip";
+      chip.textContent = prompt;
+      chip.onclick = () => {
+        input.value = prompt;
+        form.requestSubmit();
+      };
+      group.appendChild(chip);
+    }
+    messages.appendChild(group);
+    messages.scrollTop = messages.scrollHeight;
+  }
+
+  // Once a question is asked, the chips that were offered no longer apply
+  const clearPromptChips = () =>
+    messages.querySelectorAll(".prompt-chips").forEach((group) => group.remove());
+
+  // === Answer feedback (feedback function) ===
+  const feedbackButton = (label, title) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "feedback-btn";
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute("aria-pressed", "false");
+    return button;
+  };
+
+  // 👍/👎 beside the replay button. 👎 is sent straight away, then offers a box to say what was wrong;
+  // sending that rates the answer again with the comment attached.
+  function addFeedbackControls(bubble, message, question) {
+    const conversationId = conversation && conversation.id;
+    const threadId = conversation && conversation.thread_id;
+    if (!bubble || !conversationId || !threadId) return;
+
+    const wrapper = bubble.parentElement;
+    const group = document.createElement("div");
+    group.className = "feedback-btns";
+    group.setAttribute("role", "group");
+    group.setAttribute("aria-label", "Was this answer helpful?");
+    const upBtn = feedbackButton("👍", "Helpful");
+    const downBtn = feedbackButton("👎", "Not helpful");
+    const note = document.createElement("span");
+    note.className = "feedback-note";
+    note.setAttribute("role", "status");
+    group.append(upBtn, downBtn, note);
+    wrapper.appendChild(group);
+
+    const showRating = (rating) => {
+      upBtn.setAttribute("aria-pressed", String(rating === "up"));
+      downBtn.setAttribute("aria-pressed", String(rating === "down"));
+    };
+    showRating(message.feedback);
+
+    async function send(rating, comment = "") {
+      showRating(rating);
+      note.textContent = "";
+      try {
+        const res = await callToby(feedbackEndpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            thread_id: threadId,
+            message_id: message.id,
+            rating,
+            comment,
+            question,
+            answer: message.content,
+          }),
+        });
+        await throwIfRateLimited(res);
+        if (!res.ok) throw new Error(await readError(res));
+        message.feedback = rating;
+        note.textContent = "Thanks!";
+        await TobyStore.updateMessage(conversationId, message.id, { feedback: rating });
+      } catch (err) {
+        showRating(message.feedback);
+        note.textContent = err instanceof RateLimitError ? "Try again later" : "Not sent – try again";
+        updateDebug("Feedback error: " + err.message);
+      }
+    }
+
+    let commentForm = null;
+    const closeComment = () => {
+      if (commentForm) commentForm.remove();
+      commentForm = null;
+    };
+
+    upBtn.onclick = () => {
+      closeComment();
+      send("up");
+    };
+    downBtn.onclick = () => {
+      send("down");
+      if (commentForm) return;
+      commentForm = document.createElement("form");
+      commentForm.className = "feedback-comment";
+      commentForm.innerHTML =
+        '<label>What was wrong or missing? <span class="optional">(optional)</span>' +
+        '<textarea maxlength="1000" rows="2"></textarea></label>' +
+        '<div class="feedback-actions"><button type="submit">Send</button>' +
+        '<button type="button" class="feedback-skip">No thanks</button></div>';
+      const box = commentForm.querySelector("textarea");
+      commentForm.onsubmit = (e) => {
+        e.preventDefault();
+        const comment = box.value.trim();
+        closeComment();
+        if (comment) send("down", comment);
+      };
+      commentForm.querySelector(".feedback-skip").onclick = closeComment;
+      wrapper.after(commentForm);
+      box.focus();
+    };
+  }
+
+  // === Conversations (persisted by conversation-store.js) ===
+  const storageError = (err) => updateDebug("Storage error: " + err.message);
+
+  const titleFrom = (text) => (text.length > 40 ? text.slice(0, 40).trim() + "…" : text);
+
+  // Save a message to the current conversation, creating it on the first message.
+  // Resolves with the saved message, or null if storage failed.
+  async function recordMessage(role, content, extra = {}) {
+    try {
+      if (!conversation) {
+        conversation = await TobyStore.createConversation({ title: titleFrom(content), thread_id });
+        await TobyStore.setMeta("lastConversationId", conversation.id);
+      }
+      conversation = await TobyStore.appendMessage(conversation.id, { role, content, ...extra });
+      chatTitle.textContent = conversation.title;
+      renderConversationList();
+      return conversation.messages[conversation.messages.length - 1];
+    } catch (err) {
+      storageError(err);
+      return null;
+    }
+  }
+
+  function rememberThread(id) {
+    thread_id = id;
+    if (!conversation || conversation.thread_id === id) return;
+    conversation.thread_id = id;
+    TobyStore.updateConversation(conversation.id, { thread_id: id }).catch(storageError);
+  }
+
+  // Show a saved conversation (or a fresh one when id is null) without narrating it again
+  async function openConversation(id) {
+    if (activeRun) {
+      updateDebug("Wait for Toby's answer to finish (or stop it) before switching chats");
+      return;
+    }
+    try {
+      window.speechSynthesis.cancel();
+      hideEmergency();
+      conversation = id ? await TobyStore.getConversation(id) : null;
+      thread_id = conversation ? conversation.thread_id : null;
+      chatTitle.textContent = conversation ? conversation.title : "Ask Toby";
+
+      messages.innerHTML = "";
+      if (!conversation && greeting) createBubble(greeting, "bot", { narrate: false });
+      if (!conversation) showPromptChips(starterPrompts, "Try asking");
+      let question = "";
+      let safety = null;
+      for (const msg of conversation ? conversation.messages : []) {
+        const div = createBubble(msg.content, msg.role, {
+          narrate: false,
+          sources: msg.sources,
+          cards: msg.cards,
+          images: msg.images,
+          redactions: msg.redactions,
+        });
+        if (msg.queued) markQueued(div);
+        if (msg.role === "user") question = msg.content;
+        else if (question) addFeedbackControls(div, msg, question);
+        // A question delivered from the outbox brings its emergency banner (see outbox.js)
+        if (msg.role === "user" && !msg.queued) safety = msg.safety || null;
+      }
+      showEmergency(safety);
+      const last = conversation && conversation.messages[conversation.messages.length - 1];
+      if (last && last.role === "bot") showPromptChips(last.followUps, "Ask Toby next");
+
+      await TobyStore.setMeta("lastConversationId", conversation ? conversation.id : null);
+      renderConversationList();
+    } catch (err) {
+      storageError(err);
+    }
+  }
+
+  async function renameConversation(summary) {
+    const title = prompt("Rename this chat:", summary.title);
+    if (!title || !title.trim()) return;
+    try {
+      await TobyStore.updateConversation(summary.id, { title: title.trim() });
+      if (conversation && conversation.id === summary.id) {
+        conversation.title = title.trim();
+        chatTitle.textContent = conversation.title;
+      }
+      renderConversationList();
+    } catch (err) {
+      storageError(err);
+    }
+  }
+
+  // Forget a chat everywhere: Toby's servers first (the conversation, its audio and ratings), then
+  // this device. If the server can't be reached the local copy stays, so it can be tried again.
+  async function forgetConversation(summary) {
+    const warning = `Forget "${summary.title}"? It will be deleted from this device and from Toby's servers.`;
+    if (!confirm(`${warning} This can't be undone.`)) return;
+    if (summary.thread_id) {
+      try {
+        const res = await callToby(forgetEndpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ thread_id: summary.thread_id }),
+        });
+        await throwIfRateLimited(res);
+        // 404: nothing is left on the server (already forgotten or purged), so only this copy remains
+        if (!res.ok && res.status !== 404) throw new Error(await readError(res));
+      } catch (err) {
+        updateDebug("Forget error: " + err.message);
+        alert(
+          err instanceof RateLimitError || err instanceof SignedOutError
+            ? describeChatError(err)
+            : "Couldn't reach Toby to forget this chat, so it's been kept. Try again when you're online."
+        );
+        return;
+      }
+    }
+    try {
+      await TobyStore.deleteConversation(summary.id);
+      if (conversation && conversation.id === summary.id) await openConversation(null);
+      else renderConversationList();
+    } catch (err) {
+      storageError(err);
+    }
+  }
+
+  async function renderConversationList() {
+    let summaries;
+    try {
+      summaries = await TobyStore.listConversations();
+    } catch (err) {
+      storageError(err);
+      return;
+    }
+
+    conversationList.innerHTML = "";
+    for (const summary of summaries) {
+      const item = document.createElement("li");
+      item.className = "conversation-item";
+      if (conversation && conversation.id === summary.id) item.classList.add("active");
+
+      const openBtn = document.createElement("button");
+      openBtn.type = "button";
+      openBtn.className = "conversation-open";
+      openBtn.textContent = summary.title;
+      openBtn.title = new Date(summary.updatedAt).toLocaleString();
+      openBtn.onclick = () => openConversation(summary.id).then(() => toggleDrawer(false));
+
+      const renameBtn = document.createElement("button");
+      renameBtn.type = "button";
+      renameBtn.textContent = "✏️";
+      renameBtn.title = "Rename chat";
+      renameBtn.onclick = () => renameConversation(summary);
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.textContent = "🗑️";
+      deleteBtn.title = "Forget chat";
+      deleteBtn.onclick = () => forgetConversation(summary);
+
+      item.append(openBtn, renameBtn, deleteBtn);
+      conversationList.appendChild(item);
+    }
+  }
+
+  const toggleDrawer = (open = drawer.hidden) => {
+    drawer.hidden = !open;
+    drawerBtn.setAttribute("aria-expanded", String(open));
+    if (open) {
+      toggleSettings(false);
+      toggleExport(false);
+    }
+  };
+
+  drawerBtn.addEventListener("click", () => toggleDrawer());
+  newChatBtn.addEventListener("click", () => openConversation(null).then(() => toggleDrawer(false)));
+
+  // === Voice & narration settings (settings.js) ===
+  const settingsPanel = root.getElementById("settings-panel");
+  const settingsBtn = root.getElementById("settings-btn");
+  const settingFields = {
+    autoNarrate: root.getElementById("setting-auto-narrate"),
+    preferServerAudio: root.getElementById("setting-prefer-server"),
+    serverVoice: root.getElementById("setting-server-voice"),
+    browserVoice: root.getElementById("setting-browser-voice"),
+    rate: root.getElementById("setting-rate"),
+    pitch: root.getElementById("setting-pitch"),
+    micSensitivity: root.getElementById("setting-mic-sensitivity"),
+  };
+
+  settingFields.serverVoice.append(
+    ...TobySettings.SERVER_VOICES.map(
+      (voice) => new Option(voice.charAt(0).toUpperCase() + voice.slice(1), voice)
+    )
+  );
+
+  function fillBrowserVoices() {
+    const voices = "speechSynthesis" in window ? window.speechSynthesis.getVoices() : [];
+    settingFields.browserVoice.replaceChildren(
+      new Option("Automatic", ""),
+      ...voices.map((v) => new Option(`${v.name} (${v.lang})`, v.voiceURI))
+    );
+    settingFields.browserVoice.value = TobySettings.get().browserVoice;
+    if (settingFields.browserVoice.selectedIndex === -1) settingFields.browserVoice.value = "";
+  }
+
+  function showSettings() {
+    const settings = TobySettings.get();
+    settingFields.autoNarrate.checked = settings.autoNarrate;
+    settingFields.preferServerAudio.checked = settings.preferServerAudio;
+    settingFields.serverVoice.value = settings.serverVoice;
+    settingFields.browserVoice.value = settings.browserVoice;
+    settingFields.rate.value = settings.rate;
+    settingFields.pitch.value = settings.pitch;
+    settingFields.micSensitivity.value = settings.micSensitivity;
+    root.getElementById("setting-rate-value").textContent = `${settings.rate}×`;
+    root.getElementById("setting-pitch-value").textContent = settings.pitch;
+  }
+
+  function saveSettings() {
+    TobySettings.update({
+      autoNarrate: settingFields.autoNarrate.checked,
+      preferServerAudio: settingFields.preferServerAudio.checked,
+      serverVoice: settingFields.serverVoice.value,
+      browserVoice: settingFields.browserVoice.value,
+      rate: Number(settingFields.rate.value),
+      pitch: Number(settingFields.pitch.value),
+      micSensitivity: settingFields.micSensitivity.value,
+    });
+    preferredVoice = pickBestVoice();
+    showSettings();
+  }
+
+  const toggleSettings = (open = settingsPanel.hidden) => {
+    settingsPanel.hidden = !open;
+    settingsBtn.setAttribute("aria-expanded", String(open));
+    if (open) {
+      toggleDrawer(false);
+      toggleExport(false);
+    }
+  };
+
+  Object.values(settingFields).forEach((field) => field.addEventListener("change", saveSettings));
+  settingFields.rate.addEventListener("input", saveSettings);
+  settingFields.pitch.addEventListener("input", saveSettings);
+  settingsBtn.addEventListener("click", () => toggleSettings());
+  root.getElementById("settings-preview").addEventListener("click", () => {
+    unlockSpeech();
+    window.speechSynthesis.cancel();
+    stopServerSpeech();
+    speak("Kia ora, I'm Toby. This is how I'll sound when I read my answers.");
+  });
+  root.getElementById("settings-reset").addEventListener("click", () => {
+    TobySettings.reset();
+    preferredVoice = pickBestVoice();
+    showSettings();
+  });
+
+  preferredVoice = pickBestVoice();
+  fillBrowserVoices();
+  showSettings();
+
+  // === Save or share this chat (export.js) ===
+  const exportPanel = root.getElementById("export-panel");
+  const exportBtn = root.getElementById("export-btn");
+  const exportStatus = root.getElementById("export-status");
+
+  const toggleExport = (open = exportPanel.hidden) => {
+    exportPanel.hidden = !open;
+    exportBtn.setAttribute("aria-expanded", String(open));
+    if (!open) return;
+    toggleDrawer(false);
+    toggleSettings(false);
+    const empty = !conversation || !conversation.messages.length;
+    exportPanel.querySelectorAll(".export-action").forEach((button) => (button.disabled = empty));
+    exportStatus.textContent = empty ? "Ask Toby something first – there's nothing to save yet." : "";
+  };
+
+  function downloadFile(file) {
+    const url = URL.createObjectURL(file);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = file.name;
+    (root.body || root).appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  // Share sheets and pop-ups need the tap that asked for them, so nothing before them is awaited
+  async function exportConversation(format) {
+    if (!conversation || !conversation.messages.length) return;
+    const { content, fileName, mimeType } = TobyExport.build(conversation, format);
+    const file = new File([content], fileName, { type: mimeType });
+
+    if (format === "html") {
+      const url = URL.createObjectURL(file);
+      const win = window.open(url, "_blank");
+      if (win) {
+        win.addEventListener("load", () => win.print());
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+        exportStatus.textContent = "Opened for printing. To make a PDF, choose “Save as PDF” as the printer.";
+        return;
+      }
+      URL.revokeObjectURL(url); // pop-up blocked: save the page instead
+    } else if (navigator.canShare && navigator.canShare({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], title: conversation.title });
+        exportStatus.textContent = "Shared.";
+        return;
+      } catch (err) {
+        if (err.name === "AbortError") return; // closed the share sheet
+        updateDebug("Share failed: " + err.message);
+      }
+    }
+
+    downloadFile(file);
+    exportStatus.textContent = `Saved ${fileName}.`;
+  }
+
+  exportBtn.addEventListener("click", () => toggleExport());
+  exportPanel.querySelectorAll(".export-action").forEach((button) =>
+    button.addEventListener("click", () => exportConversation(button.dataset.format))
+  );
+
+  // Without voice there's nothing to record, play back or tune
+  if (!voice) {
+    for (const control of [micBtn, handsFreeBtn, stopTalkBtn, settingsBtn]) control.hidden = true;
+  }
+
+  // === Offline outbox (outbox.js) ===
+  TobyOutbox.configure({ apiBase });
+
+  const markQueued = (bubble) => {
+    bubble.classList.add("queued");
+    const badge = document.createElement("span");
+    badge.className = "queued-badge";
+    badge.textContent = "⏳ Queued – sends when you're back online";
+    bubble.appendChild(badge);
+  };
+
+  async function updateConnectionStatus() {
+    const queued = await TobyOutbox.count().catch(() => 0);
+    const online = navigator.onLine;
+    const waiting = queued ? ` · ${queued} queued` : "";
+    connectionStatus.textContent = online ? `● Online${waiting}` : `● Offline${waiting}`;
+    connectionStatus.className = `connection-status ${online ? "online" : "offline"}`;
+  }
+
+  // Keep a question (and any photos) for later instead of losing it
+  async function queueMessage(saved, bubble, photos = []) {
+    try {
+      if (!saved) throw new Error("question was not saved");
+      await TobyStore.updateMessage(conversation.id, saved.id, { queued: true });
+      await TobyOutbox.enqueue(
+        conversation.id,
+        saved.id,
+        saved.content,
+        photos.map(({ imageBase64, mimeType }) => ({ imageBase64, mimeType })),
+        account.token
+      );
+      markQueued(bubble);
+      requestOutboxSync();
+    } catch (err) {
+      storageError(err);
+      createBubble(
+        "📴 You're offline and I couldn't keep your question for later. Please ask again once you have signal.",
+        "bot",
+        { narrate: false }
+      );
+    }
+    updateConnectionStatus();
+  }
+
+  // A queued answer arrived: refresh the chat it belongs to if it's on screen
+  const onOutboxDelivered = ({ conversationId }) => {
+    if (conversation && conversation.id === conversationId && !activeRun) {
+      openConversation(conversationId);
+    } else {
+      renderConversationList();
+    }
+    updateConnectionStatus();
+  };
+
+  const flushOutbox = () =>
+    TobyOutbox.flush(onOutboxDelivered)
+      .catch((err) => updateDebug("Outbox waiting: " + err.message))
+      .finally(updateConnectionStatus);
+
+  // Background Sync sends the outbox from the service worker, even after the page is closed.
+  // Without it (or while we're online anyway) the page sends it itself.
+  function requestOutboxSync() {
+    if (serviceWorker && "serviceWorker" in navigator && "SyncManager" in window) {
+      navigator.serviceWorker.ready
+        .then((registration) => registration.sync.register(TobyOutbox.SYNC_TAG))
+        .catch((err) => updateDebug("Background Sync unavailable: " + err.message));
+    }
+    if (navigator.onLine) flushOutbox();
+  }
+
+  window.addEventListener("online", () => {
+    updateConnectionStatus();
+    flushOutbox();
+  });
+  window.addEventListener("offline", updateConnectionStatus);
+  if (serviceWorker && "serviceWorker" in navigator) {
+    navigator.serviceWorker.addEventListener("message", (e) => {
+      if (e.data && e.data.type === "outbox-delivered") onOutboxDelivered(e.data);
+    });
+  }
+  updateConnectionStatus();
+  if (navigator.onLine) flushOutbox();
+
+  renderAccount();
+  refreshSession();
+
+  // Restore whichever conversation was open last
+  TobyStore.getMeta("lastConversationId")
+    .then((id) => openConversation(id || null))
+    .catch(storageError);
+
   // Register service worker
-  if ("serviceWorker" in navigator) {
+  if (serviceWorker && "serviceWorker" in navigator) {
     navigator.serviceWorker.register("/service-worker.js");
   }
+}
+
+self.TobyChat = { mount: mountTobyChat };
+
+// bot.html: the chat markup is already on the page
+document.addEventListener("DOMContentLoaded", () => {
+  if (document.getElementById("chatbot-section")) TobyChat.mount(document);
 });
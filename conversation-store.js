@@ -0,0 +1,153 @@
+// conversation-store.js
+
+// IndexedDB persistence for conversations: each record holds the transcript and the
+// OpenAI thread it continues. Also holds the outbox of questions asked while offline.
+// Attached to `self` so the service worker can load it too.
+
+(function (global) {
+  const DB_NAME = "toby";
+  const DB_VERSION = 2;
+  let dbPromise = null;
+
+  const newId = () =>
+    global.crypto && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains("conversations")) {
+            db.createObjectStore("conversations", { keyPath: "id" }).createIndex("updatedAt", "updatedAt");
+          }
+          if (!db.objectStoreNames.contains("meta")) {
+            db.createObjectStore("meta", { keyPath: "key" });
+          }
+          if (!db.objectStoreNames.contains("outbox")) {
+            db.createObjectStore("outbox", { keyPath: "id" });
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => (dbPromise = null));
+    }
+    return dbPromise;
+  }
+
+  // Run fn(objectStore) in one transaction; resolves with fn's request result once committed
+  async function transact(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Read-modify-write one record atomically; resolves with the saved record (or null if missing)
+  async function update(storeName, id, change) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      let saved = null;
+      store.get(id).onsuccess = (e) => {
+        const record = e.target.result;
+        if (!record) return;
+        saved = change(record) || record;
+        store.put(saved);
+      };
+      tx.oncomplete = () => resolve(saved);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  const TobyStore = {
+    // Newest first, without transcripts
+    async listConversations() {
+      const all = await transact("conversations", "readonly", (store) => store.getAll());
+      return all
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(({ messages, ...summary }) => ({ ...summary, messageCount: messages.length }));
+    },
+
+    getConversation(id) {
+      return transact("conversations", "readonly", (store) => store.get(id)).then((c) => c || null);
+    },
+
+    async createConversation({ title = "New chat", thread_id = null } = {}) {
+      const now = Date.now();
+      const conversation = { id: newId(), title, thread_id, createdAt: now, updatedAt: now, messages: [] };
+      await transact("conversations", "readwrite", (store) => store.add(conversation));
+      return conversation;
+    },
+
+    // message: { role: "user" | "bot", content, ...extra }.
+    // With options.after (a message id) it goes straight after that message instead of at the end.
+    appendMessage(id, message, { after } = {}) {
+      return update("conversations", id, (conversation) => {
+        const entry = { id: newId(), createdAt: Date.now(), ...message };
+        const at = after ? conversation.messages.findIndex((m) => m.id === after) : -1;
+        if (at === -1) conversation.messages.push(entry);
+        else conversation.messages.splice(at + 1, 0, entry);
+        conversation.updatedAt = Date.now();
+      });
+    },
+
+    updateConversation(id, changes) {
+      return update("conversations", id, (conversation) => Object.assign(conversation, changes));
+    },
+
+    updateMessage(conversationId, messageId, changes) {
+      return update("conversations", conversationId, (conversation) => {
+        const message = conversation.messages.find((m) => m.id === messageId);
+        if (message) Object.assign(message, changes);
+      });
+    },
+
+    deleteConversation(id) {
+      return transact("conversations", "readwrite", (store) => store.delete(id));
+    },
+
+    getMeta(key) {
+      return transact("meta", "readonly", (store) => store.get(key)).then((entry) =>
+        entry ? entry.value : null
+      );
+    },
+
+    setMeta(key, value) {
+      return transact("meta", "readwrite", (store) => store.put({ key, value }));
+    },
+
+    // === Outbox ===
+    // { id, conversationId, messageId, message, images, image_file_ids?, thread_id?, run_id?, createdAt }
+    async addToOutbox(item) {
+      const entry = { id: newId(), createdAt: Date.now(), ...item };
+      await transact("outbox", "readwrite", (store) => store.add(entry));
+      return entry;
+    },
+
+    // Oldest first, so questions go out in the order they were asked
+    async listOutbox() {
+      const all = await transact("outbox", "readonly", (store) => store.getAll());
+      return all.sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    updateOutbox(id, changes) {
+      return update("outbox", id, (item) => Object.assign(item, changes));
+    },
+
+    removeFromOutbox(id) {
+      return transact("outbox", "readwrite", (store) => store.delete(id));
+    },
+  };
+
+  global.TobyStore = TobyStore;
+})(self);
@@ -0,0 +1,223 @@
+// export.js
+
+// Turns a saved conversation (conversation-store.js) into a transcript for a job file or a client:
+// Markdown, print-ready HTML (print it or save it as a PDF) or plain text. Each format has the
+// timestamps, the sources each answer cited and a disclaimer at the end. Uses TobyMarkdown for HTML.
+
+(function (global) {
+  const DISCLAIMER =
+    "Toby is an AI assistant. Its answers are general information, not professional advice, and " +
+    "can be wrong or out of date. Check them against the NZ Building Code, the relevant standards " +
+    "and the manufacturer's instructions, and have compliance-critical work confirmed by an " +
+    "authorised practitioner.";
+
+  const FORMATS = {
+    markdown: { extension: "md", mimeType: "text/markdown" },
+    html: { extension: "html", mimeType: "text/html" },
+    text: { extension: "txt", mimeType: "text/plain" },
+  };
+
+  // Same markers chatbot.js strips: raw file citations, and footnote references like [^2]
+  const CITATION_MARKER = /【\d+:\d+†[^†【】]+(?:†[^【】]*)?】/g;
+  const FOOTNOTE_REF = /\[\^(\d+)\]/g;
+
+  const when = (time) =>
+    new Date(time).toLocaleString("en-NZ", { dateStyle: "medium", timeStyle: "short" });
+
+  const speaker = (message) => (message.role === "user" ? "You" : "Toby");
+
+  // Footnotes are numbered per answer, so in a transcript they become plain [n] next to that answer's list
+  const answerText = (content) =>
+    String(content || "")
+      .replace(CITATION_MARKER, "")
+      .replace(FOOTNOTE_REF, "[$1]")
+      .trim();
+
+  const photoNote = (message) => {
+    const count = (message.images || []).length;
+    return count ? `📷 ${count} photo${count === 1 ? "" : "s"} attached` : "";
+  };
+
+  const cardLines = (card) =>
+    [card.subtitle, card.phone, card.email, card.website, card.address].filter(Boolean).join(" · ");
+
+  // Markdown without the markup, for plain text
+  const plain = (markdown) =>
+    markdown
+      .replace(/^\s*(```|~~~).*$/gm, "")
+      .replace(/^#{1,6}\s+/gm, "")
+      .replace(/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/gm, "")
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (m, label, url) => (label === url ? url : `${label} (${url})`))
+      .replace(/(\*\*|__|~~)(?!\s)(.+?)\1/g, "$2")
+      .replace(/(^|[^\w*])\*(?!\s)([^*]+?)\*(?![\w*])/g, "$1$2")
+      .replace(/(^|[^\w])_(?!\s)([^_]+?)_(?!\w)/g, "$1$2")
+      .replace(/`([^`]+)`/g, "$1")
+      .replace(/\n{3,}/g, "\n\n");
+
+  function toMarkdown(conversation, { exportedAt = Date.now() } = {}) {
+    const lines = [
+      `# ${conversation.title}`,
+      "",
+      `Started ${when(conversation.createdAt)} · exported from Toby ${when(exportedAt)}`,
+    ];
+
+    for (const message of conversation.messages) {
+      lines.push("", "---", "", `**${speaker(message)}** · ${when(message.createdAt)}`, "");
+      if (message.role === "user") {
+        const note = photoNote(message);
+        if (note) lines.push(`_${note}_`, "");
+        lines.push(message.content.trim());
+        if (message.queued) lines.push("", "_Not sent yet: it was waiting for a connection._");
+        continue;
+      }
+
+      lines.push(answerText(message.content));
+      const cards = message.cards || [];
+      if (cards.length) {
+        lines.push("", "Contacts:", "");
+        cards.forEach((card) => lines.push(`- **${card.title}**${cardLines(card) ? ` · ${cardLines(card)}` : ""}`));
+      }
+      const sources = message.sources || [];
+      if (sources.length) {
+        lines.push("", "Sources:", "");
+        sources.forEach((source, i) =>
+          lines.push(`${i + 1}. ${source.fileName}${source.quote ? ` — “${source.quote.trim()}”` : ""}`)
+        );
+      }
+    }
+
+    lines.push("", "---", "", `_${DISCLAIMER}_`, "");
+    return lines.join("\n");
+  }
+
+  function toText(conversation, options) {
+    return plain(toMarkdown(conversation, options).replace(/^---$/gm, "────────────────────")).replace(
+      /^- /gm,
+      "• "
+    );
+  }
+
+  const { escapeHtml } = global.TobyMarkdown;
+
+  const PRINT_CSS = `
+    @page { margin: 18mm 16mm; }
+    body { font: 11pt/1.5 "Segoe UI", Calibri, sans-serif; color: #222; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; }
+    header { border-bottom: 2px solid #00395d; margin-bottom: 1rem; }
+    h1 { color: #00395d; font-size: 18pt; margin: 0 0 0.25rem; }
+    .meta { color: #555; font-size: 9pt; margin: 0 0 0.5rem; }
+    .message { border-bottom: 1px solid #ddd; padding: 0.5rem 0 0.75rem; }
+    .message h2 { font-size: 10pt; margin: 0 0 0.25rem; color: #00395d; break-after: avoid; }
+    .message h2 .meta { font-weight: normal; }
+    .from-user .body { white-space: pre-wrap; background: #f1f5f8; border-radius: 6px; padding: 0.5rem 0.75rem; }
+    .photos img { max-width: 30%; max-height: 5cm; margin: 0 0.5rem 0.5rem 0; border-radius: 4px; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 0.2rem 0.4rem; }
+    blockquote { margin: 0.25rem 0 0.25rem 1rem; color: #555; font-style: italic; }
+    .sources, .contacts { font-size: 9.5pt; }
+    .sources h3, .contacts h3 { font-size: 9.5pt; margin: 0.5rem 0 0.25rem; }
+    .disclaimer { color: #555; font-size: 9pt; margin-top: 1.5rem; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      a { color: inherit; }
+      a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 8pt; color: #555; }
+    }
+  `;
+
+  function htmlCards(cards) {
+    if (!cards || !cards.length) return "";
+    const items = cards
+      .map((card) => `<li><strong>${escapeHtml(card.title)}</strong> ${escapeHtml(cardLines(card))}</li>`)
+      .join("");
+    return `<section class="contacts"><h3>Contacts</h3><ul>${items}</ul></section>`;
+  }
+
+  function htmlSources(sources) {
+    if (!sources || !sources.length) return "";
+    const items = sources
+      .map(
+        (source) =>
+          `<li><strong>${escapeHtml(source.fileName)}</strong>` +
+          (source.quote ? `<blockquote>${escapeHtml(source.quote.trim())}</blockquote>` : "") +
+          "</li>"
+      )
+      .join("");
+    return `<section class="sources"><h3>Sources</h3><ol>${items}</ol></section>`;
+  }
+
+  function htmlMessage(message) {
+    const heading = `<h2>${speaker(message)} <span class="meta">${escapeHtml(when(message.createdAt))}</span></h2>`;
+    if (message.role === "user") {
+      const photos = (message.images || []).filter((src) => src.startsWith("data:image/"));
+      return (
+        `<article class="message from-user">${heading}` +
+        (photos.length
+          ? `<div class="photos">${photos.map((src) => `<img src="${escapeHtml(src)}" alt="Attached photo">`).join("")}</div>`
+          : "") +
+        `<div class="body">${escapeHtml(message.content.trim())}</div>` +
+        (message.queued ? '<p class="meta">Not sent yet: it was waiting for a connection.</p>' : "") +
+        "</article>"
+      );
+    }
+    const body = global.TobyMarkdown.render(String(message.content || "").replace(CITATION_MARKER, "")).replace(
+      FOOTNOTE_REF,
+      "<sup>[$1]</sup>"
+    );
+    return (
+      `<article class="message from-toby">${heading}<div class="body">${body}</div>` +
+      htmlCards(message.cards) +
+      htmlSources(message.sources) +
+      "</article>"
+    );
+  }
+
+  function toHtml(conversation, { exportedAt = Date.now() } = {}) {
+    const title = escapeHtml(conversation.title);
+    return `<!DOCTYPE html>
+<html lang="en-NZ">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title} – Toby</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+<header>
+<h1>${title}</h1>
+<p class="meta">Started ${escapeHtml(when(conversation.createdAt))} · exported from Toby ${escapeHtml(when(exportedAt))}</p>
+</header>
+${conversation.messages.map(htmlMessage).join("\n")}
+<footer class="disclaimer">${escapeHtml(DISCLAIMER)}</footer>
+</body>
+</html>
+`;
+  }
+
+  const BUILDERS = { markdown: toMarkdown, html: toHtml, text: toText };
+
+  const fileSlug = (title) =>
+    String(title)
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[^\w\s-]/g, "")
+      .trim()
+      .replace(/[\s_-]+/g, "-")
+      .slice(0, 50)
+      .replace(/-$/, "") || "chat";
+
+  /**
+   * format: "markdown" | "html" | "text"
+   * Returns { content, fileName, mimeType } ready for a File, a download or a share sheet.
+   */
+  function build(conversation, format, options = {}) {
+    const { extension, mimeType } = FORMATS[format] || FORMATS.markdown;
+    const exportedAt = options.exportedAt || Date.now();
+    const date = new Date(exportedAt).toLocaleDateString("en-CA"); // YYYY-MM-DD
+    return {
+      content: (BUILDERS[format] || toMarkdown)(conversation, { exportedAt }),
+      fileName: `toby-${fileSlug(conversation.title)}-${date}.${extension}`,
+      mimeType: `${mimeType};charset=utf-8`,
+    };
+  }
+
+  global.TobyExport = { FORMATS: Object.keys(FORMATS), DISCLAIMER, build, toMarkdown, toHtml, toText };
+})(self);
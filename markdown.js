@@ -0,0 +1,279 @@
+// markdown.js
+
+// Small Markdown renderer for Toby's replies, plus an allow-list sanitizer.
+// Supports headings, paragraphs, bullet and numbered lists (nested by indent), block quotes,
+// fenced code, tables, links and inline emphasis. All text is escaped before it is
+// formatted and the generated HTML is sanitized again, so model output can't inject markup.
+
+(function (global) {
+  const SAFE_URL = /^(https?:|mailto:|tel:)/i;
+  const LIST_ITEM = /^(\s*)([-*+]|\d{1,3}[.)])\s+(.*)$/;
+  const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+  const FENCE = /^\s*(```|~~~)/;
+
+  const escapeHtml = (text) =>
+    String(text).replace(
+      /[&<>"']/g,
+      (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+    );
+
+  // === Inline formatting ===
+  function renderInline(text) {
+    // Code spans and links are swapped for placeholders so emphasis rules can't reach inside them
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+    let out = escapeHtml(text)
+      .replace(/`([^`]+)`/g, (m, code) => hold(`<code>${code}</code>`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;.*?&quot;)?\)/g, (m, label, url) =>
+        SAFE_URL.test(url) ? hold(`<a href="${url}">${label}</a>`) : label
+      )
+      .replace(/(^|[\s(])(https?:\/\/[^\s<]*[^\s<.,;:!?)])/g, (m, lead, url) =>
+        lead + hold(`<a href="${url}">${url}</a>`)
+      );
+
+    out = out
+      .replace(/\*\*(?!\s)(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/__(?!\s)(.+?)__/g, "<strong>$1</strong>")
+      .replace(/~~(?!\s)(.+?)~~/g, "<del>$1</del>")
+      .replace(/(^|[^\w*])\*(?!\s)([^*]+?)\*(?![\w*])/g, "$1<em>$2</em>")
+      .replace(/(^|[^\w])_(?!\s)([^_]+?)_(?!\w)/g, "$1<em>$2</em>");
+
+    return out.replace(/\u0000(\d+)\u0000/g, (m, i) => held[i]);
+  }
+
+  // === Tables ===
+  const splitRow = (line) =>
+    line
+      .trim()
+      .replace(/^\|/, "")
+      .replace(/\|$/, "")
+      .split("|")
+      .map((cell) => cell.trim());
+
+  function renderTable(headerLine, separatorLine, rowLines) {
+    const headers = splitRow(headerLine);
+    const aligns = splitRow(separatorLine).map((c) =>
+      c.startsWith(":") && c.endsWith(":") ? "center" : c.endsWith(":") ? "right" : ""
+    );
+    const alignClass = (col) => (aligns[col] ? ` class="align-${aligns[col]}"` : "");
+
+    const head = headers.map((h, col) => `<th${alignClass(col)}>${renderInline(h)}</th>`).join("");
+    const body = rowLines
+      .map((line) => {
+        const cells = splitRow(line)
+          .map((cell, col) => {
+            // data-label lets narrow screens show each cell as "Header: value"
+            const label = escapeHtml((headers[col] || "").replace(/[*_`~]/g, ""));
+            return `<td${alignClass(col)} data-label="${label}">${renderInline(cell)}</td>`;
+          })
+          .join("");
+        return `<tr>${cells}</tr>`;
+      })
+      .join("");
+
+    return `<div class="table-wrap"><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+  }
+
+  // === Lists ===
+  const isIndented = (line) => /^\s+\S/.test(line);
+
+  // Index just past the list starting at lines[i], allowing blank lines between items.
+  // A top-level item of the other kind (bullet vs number) starts a new list.
+  function listEnd(lines, i) {
+    const first = lines[i].match(LIST_ITEM);
+    const ordered = /\d/.test(first[2]);
+    const belongs = (line) => {
+      const m = line.match(LIST_ITEM);
+      if (m) return m[1].length > first[1].length || /\d/.test(m[2]) === ordered;
+      return isIndented(line);
+    };
+
+    let end = i + 1;
+    while (end < lines.length) {
+      if (belongs(lines[end])) {
+        end++;
+        continue;
+      }
+      if (!lines[end].trim()) {
+        let next = end + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        if (next < lines.length && belongs(lines[next])) {
+          end = next;
+          continue;
+        }
+      }
+      break;
+    }
+    return end;
+  }
+
+  function dedent(lines) {
+    const indent = Math.min(...lines.map((line) => line.match(/^\s*/)[0].length));
+    return lines.map((line) => line.slice(indent));
+  }
+
+  function renderList(lines) {
+    const first = lines[0].match(LIST_ITEM);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+
+    const items = [];
+    for (const line of lines) {
+      const m = line.match(LIST_ITEM);
+      if (m && m[1].length <= baseIndent) items.push([m[3]]);
+      else if (line.trim()) items[items.length - 1].push(line);
+    }
+
+    const html = items
+      .map(([head, ...rest]) => `<li>${renderInline(head)}${rest.length ? renderBlocks(dedent(rest)) : ""}</li>`)
+      .join("");
+    const start = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? "ol" : "ul";
+    return `<${tag}${start !== 1 ? ` start="${start}"` : ""}>${html}</${tag}>`;
+  }
+
+  // === Blocks ===
+  const isTableStart = (lines, i) =>
+    lines[i].includes("|") && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]);
+
+  const startsBlock = (lines, i) =>
+    FENCE.test(lines[i]) ||
+    /^\s{0,3}(#{1,6}\s|>)/.test(lines[i]) ||
+    LIST_ITEM.test(lines[i]) ||
+    isTableStart(lines, i);
+
+  function renderBlocks(lines) {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      let m;
+
+      if (!line.trim()) {
+        i++;
+      } else if ((m = line.match(FENCE))) {
+        // Fenced code; an unclosed fence (still streaming) runs to the end
+        const body = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(m[1])) body.push(lines[i++]);
+        i++;
+        out.push(`<pre><code>${escapeHtml(body.join("\n"))}</code></pre>`);
+      } else if ((m = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+        const level = m[1].length;
+        out.push(`<h${level}>${renderInline(m[2])}</h${level}>`);
+        i++;
+      } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        out.push("<hr>");
+        i++;
+      } else if (isTableStart(lines, i)) {
+        const header = lines[i];
+        const separator = lines[i + 1];
+        const rows = [];
+        i += 2;
+        while (i < lines.length && lines[i].includes("|") && lines[i].trim()) rows.push(lines[i++]);
+        out.push(renderTable(header, separator, rows));
+      } else if (/^\s{0,3}>/.test(line)) {
+        const body = [];
+        while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+          body.push(lines[i++].replace(/^\s{0,3}>\s?/, ""));
+        }
+        out.push(`<blockquote>${renderBlocks(body)}</blockquote>`);
+      } else if (LIST_ITEM.test(line)) {
+        const end = listEnd(lines, i);
+        out.push(renderList(lines.slice(i, end)));
+        i = end;
+      } else {
+        const para = [lines[i++].trim()];
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+          para.push(lines[i++].trim());
+        }
+        out.push(`<p>${para.map(renderInline).join("<br>")}</p>`);
+      }
+    }
+
+    return out.join("");
+  }
+
+  // === Sanitizer ===
+  // Tag → attributes it may keep. Anything else is unwrapped (text kept) or, for DROP, removed.
+  const ALLOWED = {
+    a: ["href"],
+    blockquote: [],
+    br: [],
+    code: [],
+    del: [],
+    div: ["class"],
+    em: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    hr: [],
+    li: [],
+    ol: ["start"],
+    p: [],
+    pre: [],
+    strong: [],
+    table: [],
+    tbody: [],
+    td: ["class", "data-label"],
+    th: ["class"],
+    thead: [],
+    tr: [],
+    ul: [],
+  };
+  const DROP = new Set(["script", "style", "iframe", "object", "embed", "template", "svg", "math"]);
+
+  function clean(node) {
+    for (const child of [...node.childNodes]) {
+      if (child.nodeType === Node.TEXT_NODE) continue;
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        child.remove();
+        continue;
+      }
+
+      const tag = child.tagName.toLowerCase();
+      const allowed = ALLOWED[tag];
+      if (!allowed) {
+        if (DROP.has(tag)) {
+          child.remove();
+        } else {
+          clean(child);
+          child.replaceWith(...child.childNodes);
+        }
+        continue;
+      }
+
+      for (const attr of [...child.attributes]) {
+        if (!allowed.includes(attr.name)) child.removeAttribute(attr.name);
+      }
+      if (tag === "a") {
+        if (!SAFE_URL.test((child.getAttribute("href") || "").trim())) child.removeAttribute("href");
+        child.setAttribute("target", "_blank");
+        child.setAttribute("rel", "noopener noreferrer");
+      }
+      clean(child);
+    }
+  }
+
+  function sanitize(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    clean(template.content);
+    return template.innerHTML;
+  }
+
+  function render(markdown) {
+    const lines = String(markdown || "")
+      .replace(/\u0000/g, "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n");
+    return sanitize(renderBlocks(lines));
+  }
+
+  global.TobyMarkdown = { render, sanitize, escapeHtml };
+})(self);
@@ -0,0 +1,30 @@
+// netlify/functions/admin-stats.js
+
+// ✅ Usage numbers for the admin dashboard (admin.html): daily volumes, answer latency, failure
+// rates, estimated costs and question topics, rolled up from the events in analytics.js.
+// Needs "Authorization: Bearer <ADMIN_PASSWORD>". ?days= picks the period (1–90, default 14).
+
+const { listEvents, summarize } = require("../lib/analytics");
+const { json, requireBearer, requireEnv, withHttp } = require("../lib/http");
+const { clientIp, enforceRateLimit } = require("../lib/rate-limit");
+
+const DAY_MS = 24 * 3600 * 1000;
+
+exports.handler = withHttp({
+  name: "admin-stats",
+  methods: ["GET"],
+  schema: {
+    days: { type: "string", default: "14", pattern: /^([1-9]|[1-8]\d|90)$/ },
+  },
+  handler: async (event, { body }) => {
+    const [password] = requireEnv("ADMIN_PASSWORD");
+    await enforceRateLimit("admin", [{ budget: "admin_ip", key: clientIp(event) }]);
+    requireBearer(event, password, "Wrong password.");
+
+    const until = new Date();
+    const since = new Date(until.getTime() - Number(body.days) * DAY_MS);
+    const events = await listEvents(since);
+
+    return json(200, summarize(events, { since, until }), { "Cache-Control": "no-store" });
+  },
+});
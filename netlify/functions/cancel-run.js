@@ -0,0 +1,18 @@
+const { json, withHttp } = require('../lib/http');
+const { CONVERSATION_ID_PATTERN, RUN_ID_PATTERN, getProvider } = require('../lib/providers');
+
+exports.handler = withHttp({
+  name: 'cancel-run',
+  schema: {
+    thread_id: { type: 'string', required: true, pattern: CONVERSATION_ID_PATTERN },
+    run_id: { type: 'string', required: true, pattern: RUN_ID_PATTERN },
+  },
+  handler: async (event, { body }) => {
+    const { thread_id, run_id } = body;
+
+    // A run that already finished is reported as it ended rather than as an error
+    const run = await getProvider().cancelRun(thread_id, run_id);
+
+    return json(200, { status: run.status, thread_id, run_id });
+  },
+});
@@ -1,164 +1,71 @@
-const fetch = require('node-fetch');
-
-// ✅ List all domains that should be allowed to call this function
-// Replace the placeholders below with your actual Netlify staging domains
-const allowedOrigins = [
-  'https://masterplumbers.org.nz',              // Production
-  'https://resilient-palmier-22bdf1.netlify.app', // Staging 1
-  'https://caitskinz.github.io/tobytest/'                         // Local dev with Netlify CLI
-];
-
-exports.handler = async (event) => {
-  const origin = event.headers.origin;
-  const corsOrigin = allowedOrigins.includes(origin) ? origin : allowedOrigins[0];
-
-  // Handle CORS preflight
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': corsOrigin,
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
-      },
-      body: '',
-    };
-  }
-
-  try {
-    // Parse request
-    let message, thread_id;
-    try {
-      const parsed = JSON.parse(event.body || '{}');
-      message = parsed.message;
-      thread_id = parsed.thread_id;
-    } catch (e) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Access-Control-Allow-Origin': corsOrigin,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ error: 'Invalid JSON in request body.' }),
-      };
-    }
-
-    if (!message) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Access-Control-Allow-Origin': corsOrigin,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ error: 'Missing message in request body.' }),
-      };
-    }
-
-    // Env vars
-    const assistantId = process.env.OPENAI_ASSISTANT_ID;
-    const apiKey = process.env.OPENAI_API_KEY;
-
-    if (!apiKey || !assistantId) {
-      return {
-        statusCode: 500,
-        headers: {
-          'Access-Control-Allow-Origin': corsOrigin,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          error: 'Server misconfiguration: Missing API key or Assistant ID',
-        }),
-      };
+const { runMetrics, topicOf, trackEvent } = require('../lib/analytics');
+const { authenticate, roleInstructions } = require('../lib/auth');
+const { followUpsFor } = require('../lib/follow-ups');
+const { json, withHttp } = require('../lib/http');
+const { FILE_ID_PATTERN, MAX_IMAGES_PER_MESSAGE } = require('../lib/images');
+const { CONVERSATION_ID_PATTERN, getProvider } = require('../lib/providers');
+const { callerCheck, enforceRateLimit } = require('../lib/rate-limit');
+const { redact } = require('../lib/redact');
+const { classify, logSafetyMatch } = require('../lib/safety');
+const { registerThread } = require('../lib/threads');
+const { runToolCalls } = require('../lib/tools');
+
+exports.handler = withHttp({
+  name: 'chat-proxy',
+  schema: {
+    message: { type: 'string', required: true, maxLength: 4000 },
+    thread_id: { type: 'string', pattern: CONVERSATION_ID_PATTERN },
+    image_file_ids: { type: 'array', maxLength: MAX_IMAGES_PER_MESSAGE, itemPattern: FILE_ID_PATTERN },
+  },
+  handler: async (event, { body, requestId, metrics, errorFields }) => {
+    const { message, thread_id, image_file_ids } = body;
+    metrics.topic = topicOf(message);
+    const safety = classify(message);
+    if (safety) errorFields.safety = safety;
+    const provider = getProvider();
+
+    const user = authenticate(event);
+
+    await enforceRateLimit('chat', [
+      callerCheck('chat', event, user),
+      { budget: 'chat_thread', key: thread_id },
+    ]);
+
+    const { text, redactions } = redact(message);
+
+    // Create or reuse thread, post the user message and run the assistant
+    let threadId = thread_id;
+    if (!threadId) {
+      threadId = await provider.createConversation();
+      await registerThread(threadId, provider.name);
     }
-
-    // Create or reuse thread
-    const threadRes = thread_id
-      ? { id: thread_id }
-      : await fetch('https://api.openai.com/v1/threads', {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-            'OpenAI-Beta': 'assistants=v2',
-            'Content-Type': 'application/json',
-          },
-        }).then((res) => res.json());
-
-    const threadId = threadRes.id;
-
-    // Post user message
-    await fetch(`https://api.openai.com/v1/threads/${threadId}/messages`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'OpenAI-Beta': 'assistants=v2',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ role: 'user', content: message }),
-    });
-
-    // Run the assistant
-    const runRes = await fetch(`https://api.openai.com/v1/threads/${threadId}/runs`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'OpenAI-Beta': 'assistants=v2',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ assistant_id: assistantId }),
-    }).then((res) => res.json());
-
-    const runId = runRes.id;
-
-    // Poll until complete
-    let runStatus = 'in_progress';
-    while (runStatus === 'in_progress' || runStatus === 'queued') {
+    await provider.addMessage(threadId, { text, imageFileIds: image_file_ids });
+    const runId = await provider.startRun(threadId, { instructions: roleInstructions(user) });
+    if (safety) await logSafetyMatch({ fn: 'chat-proxy', requestId, thread_id: threadId, text, safety });
+
+    // Poll until complete, answering any tool calls along the way
+    let run = { status: 'in_progress' };
+    let cards = [];
+    while (['in_progress', 'queued', 'requires_action'].includes(run.status)) {
       await new Promise((r) => setTimeout(r, 1500));
-      const statusRes = await fetch(
-        `https://api.openai.com/v1/threads/${threadId}/runs/${runId}`,
-        {
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-            'OpenAI-Beta': 'assistants=v2',
-          },
-        }
-      ).then((res) => res.json());
+      run = await provider.getRun(threadId, runId);
 
-      runStatus = statusRes.status;
+      if (run.status === 'requires_action') {
+        const result = await runToolCalls(run.toolCalls);
+        cards = [...cards, ...result.cards];
+        await provider.submitToolOutputs(threadId, runId, result.toolOutputs);
+      }
     }
 
-    // Get messages
-    const messagesRes = await fetch(
-      `https://api.openai.com/v1/threads/${threadId}/messages`,
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'OpenAI-Beta': 'assistants=v2',
-        },
-      }
-    ).then((res) => res.json());
+    await trackEvent({ type: 'answer', fn: 'chat-proxy', requestId, ...runMetrics(run) });
 
-    const lastMessage = messagesRes.data
-      .filter((msg) => msg.role === 'assistant')
-      .sort((a, b) => b.created_at - a.created_at)[0];
+    const { reply, sources } =
+      run.status === 'completed'
+        ? await provider.getAnswer(threadId, runId)
+        : { reply: '(No reply)', sources: [] };
 
-    const reply = lastMessage?.content?.[0]?.text?.value || '(No reply)';
+    const follow_ups = run.status === 'completed' ? await followUpsFor(provider, reply) : [];
 
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': corsOrigin,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ reply, thread_id: threadId }),
-    };
-  } catch (error) {
-    return {
-      statusCode: 500,
-      headers: {
-        'Access-Control-Allow-Origin': corsOrigin,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ error: 'Internal server error' }),
-    };
-  }
-};
+    return json(200, { reply, sources, cards, follow_ups, thread_id: threadId, redactions, safety });
+  },
+});
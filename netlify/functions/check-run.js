@@ -1,99 +1,59 @@
-const fetch = require('node-fetch');
-const ALLOWED_ORIGIN = 'https://masterplumbers.org.nz';
-
-// 🛠️ Helper: Fix broken citations before sending to frontend
-function repairCitations(text) {
-  return text
-    .replace(/\[Source:\s*(.*?)】】【(\d+):(\d+)]/g, '【$2:$3†$1†lines】')
-    .replace(/\[Source:\s*(.*?)】【(\d+):(\d+)]/g, '【$2:$3†$1†lines】')
-    .replace(/\[Source:\s*(.*?)】/g, '')
-    .replace(/】【(\d+):(\d+)]/g, '');
-}
-
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      },
-      body: '',
-    };
-  }
-
-  try {
-    const { thread_id, run_id } = JSON.parse(event.body || '{}');
-    const apiKey = process.env.OPENAI_API_KEY;
-
-    if (!thread_id || !run_id || !apiKey) {
-      return {
-        statusCode: 400,
-        headers: { 'Access-Control-Allow-Origin': ALLOWED_ORIGIN },
-        body: JSON.stringify({ error: 'Missing thread_id, run_id, or API key.' }),
-      };
+const { runMetrics, trackEvent } = require('../lib/analytics');
+const { followUpsFor } = require('../lib/follow-ups');
+const { json, withHttp } = require('../lib/http');
+const { CONVERSATION_ID_PATTERN, RUN_ID_PATTERN, getProvider } = require('../lib/providers');
+const { loadRunCards, runToolCalls, saveRunCards } = require('../lib/tools');
+
+// Runs in these states are still working; anything else is terminal
+const PENDING_STATUSES = ['queued', 'in_progress', 'cancelling'];
+
+exports.handler = withHttp({
+  name: 'check-run',
+  schema: {
+    thread_id: { type: 'string', required: true, pattern: CONVERSATION_ID_PATTERN },
+    run_id: { type: 'string', required: true, pattern: RUN_ID_PATTERN },
+  },
+  handler: async (event, { body, requestId }) => {
+    const { thread_id, run_id } = body;
+    const provider = getProvider();
+
+    const runStatus = await provider.getRun(thread_id, run_id);
+
+    if (PENDING_STATUSES.includes(runStatus.status)) {
+      return json(202, { status: runStatus.status });
     }
 
-    const runRes = await fetch(`https://api.openai.com/v1/threads/${thread_id}/runs/${run_id}`, {
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'OpenAI-Beta': 'assistants=v2',
-      },
-    });
+    // 🛠️ The assistant called our tools: run them, hand back the outputs and keep polling
+    if (runStatus.status === 'requires_action') {
+      const { toolOutputs, cards } = await runToolCalls(runStatus.toolCalls);
+      await saveRunCards(run_id, cards);
+      await provider.submitToolOutputs(thread_id, run_id, toolOutputs);
 
-    if (!runRes.ok) {
-      const text = await runRes.text();
-      throw new Error(`Run status fetch failed: ${text}`);
+      return json(202, { status: 'in_progress' });
     }
 
-    const runStatus = await runRes.json();
+    // 📊 The run has finished, one way or another
+    await trackEvent({ type: 'answer', fn: 'check-run', requestId, ...runMetrics(runStatus) });
 
     if (runStatus.status !== 'completed') {
-      return {
-        statusCode: 202,
-        headers: { 'Access-Control-Allow-Origin': ALLOWED_ORIGIN },
-        body: JSON.stringify({ status: runStatus.status }),
-      };
-    }
-
-    const msgRes = await fetch(`https://api.openai.com/v1/threads/${thread_id}/messages`, {
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'OpenAI-Beta': 'assistants=v2',
-      },
-    });
-
-    if (!msgRes.ok) {
-      const text = await msgRes.text();
-      throw new Error(`Message fetch failed: ${text}`);
+      return json(200, {
+        status: runStatus.status,
+        last_error: runStatus.last_error,
+        incomplete_details: runStatus.incomplete_details,
+        thread_id,
+      });
     }
 
-    const messages = await msgRes.json();
-    const lastMessage = messages.data
-      .filter((m) => m.role === 'assistant')
-      .sort((a, b) => (b.created_at || 0) - (a.created_at || 0))[0];
+    // ✅ The reply with numbered footnotes, the sources they point to and what to ask next
+    const { reply, sources } = await provider.getAnswer(thread_id, run_id);
 
-    const rawReply = lastMessage?.content?.[0]?.text?.value || '(No reply)';
-    const fixedReply = repairCitations(rawReply); // ✅ Fix citations here
-
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        reply: fixedReply,
-        thread_id,
-      }),
-    };
-  } catch (error) {
-    console.error('check-run error:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Access-Control-Allow-Origin': ALLOWED_ORIGIN },
-      body: JSON.stringify({ error: error.message || 'Internal server error' }),
-    };
-  }
-};
+    return json(200, {
+      status: 'completed',
+      reply,
+      sources,
+      cards: await loadRunCards(run_id),
+      follow_ups: await followUpsFor(provider, reply),
+      thread_id,
+    });
+  },
+});
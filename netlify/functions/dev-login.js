@@ -0,0 +1,104 @@
+// netlify/functions/dev-login.js
+
+// ✅ Local test issuer for member sign-in, only when AUTH_TEST_ISSUER is "on". Signs an HS256 token
+// with AUTH_JWT_SECRET (and AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE when set) for any name and role.
+//   GET ?return_to=<page>                   a form to pick the name and role
+//   GET ?role=member&name=Sam&return_to=…   redirects to <page>#access_token=<token>, as a real
+//                                           issuer behind AUTH_LOGIN_URL should
+//   GET ?role=apprentice                    { access_token, token_type, expires_in }, for curl
+// Never turn it on in production: anyone could sign in as a member.
+
+const { signToken } = require("../lib/auth");
+const { HttpError, isAllowedOrigin, json, requireEnv, withHttp } = require("../lib/http");
+
+const TOKEN_TTL_SECONDS = 8 * 3600;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+const loginForm = (returnTo) => `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Toby test sign-in</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 24rem; margin: 3rem auto; padding: 0 1rem; }
+    label, fieldset { display: block; margin: 1rem 0; }
+    input[type="text"] { width: 100%; padding: 0.4rem; box-sizing: border-box; }
+    button { padding: 0.5rem 1.2rem; }
+  </style>
+</head>
+<body>
+  <h1>Test sign-in</h1>
+  <p>For development only. Pick anyone and any role.</p>
+  <form method="get">
+    <input type="hidden" name="return_to" value="${escapeHtml(returnTo || "")}">
+    <label>Name <input type="text" name="name" value="Test Member" required maxlength="60"></label>
+    <fieldset>
+      <legend>Role</legend>
+      <label><input type="radio" name="role" value="member" checked> Master Plumbers member</label>
+      <label><input type="radio" name="role" value="apprentice"> Apprentice</label>
+    </fieldset>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+
+// Only pages allowed to call the functions may receive a token
+function checkReturnTo(returnTo) {
+  let url;
+  try {
+    url = new URL(returnTo);
+  } catch (e) {
+    throw new HttpError(400, "invalid_request", "return_to must be an absolute URL.");
+  }
+  if (!isAllowedOrigin(url.origin)) {
+    throw new HttpError(400, "invalid_request", "return_to is not an allowed site.");
+  }
+  url.hash = "";
+  return url.href;
+}
+
+exports.handler = withHttp({
+  name: "dev-login",
+  methods: ["GET"],
+  schema: {
+    role: { type: "string", enum: ["member", "apprentice"] },
+    name: { type: "string", default: "Test Member", maxLength: 60 },
+    return_to: { type: "string", maxLength: 2000 },
+  },
+  handler: async (event, { body }) => {
+    if (process.env.AUTH_TEST_ISSUER !== "on") {
+      throw new HttpError(404, "not_found", "The test issuer is off.");
+    }
+    const [secret] = requireEnv("AUTH_JWT_SECRET");
+    const { role, name, return_to } = body;
+    const page = return_to ? checkReturnTo(return_to) : null;
+
+    if (!role) {
+      return {
+        statusCode: 200,
+        headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+        body: loginForm(page),
+      };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const token = signToken(
+      {
+        sub: `test-${name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`,
+        name,
+        role,
+        iss: process.env.AUTH_JWT_ISSUER || undefined,
+        aud: process.env.AUTH_JWT_AUDIENCE || undefined,
+        iat: now,
+        exp: now + TOKEN_TTL_SECONDS,
+      },
+      secret
+    );
+
+    if (!page) return json(200, { access_token: token, token_type: "Bearer", expires_in: TOKEN_TTL_SECONDS });
+    return { statusCode: 302, headers: { Location: `${page}#access_token=${token}` }, body: "" };
+  },
+});
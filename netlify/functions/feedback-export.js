@@ -0,0 +1,58 @@
+// netlify/functions/feedback-export.js
+
+// ✅ Lets the content team review rated answers, newest first, to find gaps in the knowledge base.
+// Needs "Authorization: Bearer <FEEDBACK_EXPORT_TOKEN>". Query string:
+//   rating  "down" (default), "up" or "all"
+//   since   only ratings on or after this date, e.g. 2025-03-01
+//   format  "json" (default) or "csv" for a spreadsheet
+
+const { json, requireBearer, requireEnv, withHttp } = require("../lib/http");
+const { getFeedbackLog } = require("../lib/feedback");
+
+const CSV_COLUMNS = ["createdAt", "rating", "question", "answer", "comment", "thread_id", "message_id"];
+
+// Questions and comments are typed by the public: a leading ' stops a spreadsheet running them as formulas
+const csvCell = (value) => {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (entries) =>
+  [CSV_COLUMNS, ...entries.map((entry) => CSV_COLUMNS.map((column) => entry[column]))]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+
+exports.handler = withHttp({
+  name: "feedback-export",
+  methods: ["GET"],
+  schema: {
+    rating: { type: "string", default: "down", enum: ["up", "down", "all"] },
+    since: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    format: { type: "string", default: "json", enum: ["json", "csv"] },
+  },
+  handler: async (event, { body }) => {
+    const [token] = requireEnv("FEEDBACK_EXPORT_TOKEN");
+    requireBearer(event, token, "A valid export token is required.");
+
+    const { rating, since, format } = body;
+    const entries = (await getFeedbackLog().list())
+      .filter((entry) => rating === "all" || entry.rating === rating)
+      .filter((entry) => !since || entry.createdAt >= since)
+      .reverse();
+
+    if (format === "csv") {
+      const date = new Date().toISOString().slice(0, 10);
+      return {
+        statusCode: 200,
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="toby-feedback-${rating}-${date}.csv"`,
+          "Cache-Control": "no-store",
+        },
+        body: toCsv(entries),
+      };
+    }
+    return json(200, { count: entries.length, feedback: entries }, { "Cache-Control": "no-store" });
+  },
+});
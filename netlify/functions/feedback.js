@@ -0,0 +1,39 @@
+// netlify/functions/feedback.js
+
+// ✅ Records a 👍/👎 rating on one of Toby's answers, with the question and answer it was about,
+// so the content team can find weak answers later (see feedback-export.js).
+// message_id is the answer's id in the browser's conversation store; rating it again replaces it.
+
+const { json, withHttp } = require("../lib/http");
+const { getFeedbackLog } = require("../lib/feedback");
+const { CONVERSATION_ID_PATTERN } = require("../lib/providers");
+const { clientIp, enforceRateLimit } = require("../lib/rate-limit");
+
+exports.handler = withHttp({
+  name: "feedback",
+  schema: {
+    thread_id: { type: "string", required: true, pattern: CONVERSATION_ID_PATTERN },
+    message_id: { type: "string", required: true, pattern: /^[\w-]{1,64}$/ },
+    rating: { type: "string", required: true, enum: ["up", "down"] },
+    comment: { type: "string", default: "", maxLength: 1000 },
+    question: { type: "string", required: true, maxLength: 4000 },
+    answer: { type: "string", required: true, maxLength: 20000 },
+  },
+  handler: async (event, { body, requestId }) => {
+    await enforceRateLimit("feedback", [{ budget: "feedback_ip", key: clientIp(event) }]);
+
+    const { thread_id, message_id, rating, comment, question, answer } = body;
+    await getFeedbackLog().record({
+      createdAt: new Date().toISOString(),
+      thread_id,
+      message_id,
+      rating,
+      comment: comment.trim(),
+      question,
+      answer,
+      requestId,
+    });
+
+    return json(200, { recorded: true, message_id, rating });
+  },
+});
@@ -0,0 +1,36 @@
+// netlify/functions/forget-conversation.js
+
+// ✅ "Forget this chat": deletes the conversation from OpenAI (or whichever provider made it), the
+// read-out audio cached for it, its 👍/👎 ratings and its safety log entries. The browser deletes its
+// own copy once this succeeds. Conversations that are already gone are reported, not treated as errors.
+//
+// Who may forget a chat: whoever holds its thread_id, which is also all it takes to carry on the chat.
+// Thread ids are long random strings that only the browser that started the chat is given, so they act
+// as the key; nothing ties a chat to a sign-in, since most callers are anonymous. What is checked:
+// the thread must be in this deployment's thread registry, so other conversations in the same OpenAI
+// project can't be deleted through here, and each IP gets a small forget budget. A thread the registry
+// doesn't know (already forgotten, or purged after THREAD_RETENTION_DAYS) gets 404 not_found.
+
+const { HttpError, json, withHttp } = require("../lib/http");
+const { CONVERSATION_ID_PATTERN } = require("../lib/providers");
+const { clientIp, enforceRateLimit } = require("../lib/rate-limit");
+const { forgetThread, getThreadRegistry } = require("../lib/threads");
+
+exports.handler = withHttp({
+  name: "forget-conversation",
+  schema: {
+    thread_id: { type: "string", required: true, pattern: CONVERSATION_ID_PATTERN },
+  },
+  handler: async (event, { body }) => {
+    const { thread_id } = body;
+
+    await enforceRateLimit("forget", [{ budget: "forget_ip", key: clientIp(event) }]);
+
+    if (!(await getThreadRegistry().get(thread_id))) {
+      throw new HttpError(404, "not_found", "Toby has no record of this conversation.");
+    }
+
+    const deleted = await forgetThread(thread_id);
+    return json(200, { forgotten: true, thread_id, deleted });
+  },
+});
@@ -0,0 +1,37 @@
+// netlify/functions/purge-threads.js
+
+// ✅ Scheduled daily: forgets every registered conversation older than THREAD_RETENTION_DAYS
+// (default 90; "off" keeps them). The conversation, its cached audio and its safety log entries
+// are deleted; 👍/👎 ratings stay for the content team (forget-conversation removes those too).
+// Threads go oldest first, so a backlog too big for one run carries over to the next. A failed
+// deletion is logged and retried the next day.
+
+const { schedule } = require("@netlify/functions");
+const { connectStores } = require("../lib/stores");
+const { forgetThread, getThreadRegistry, retentionDays } = require("../lib/threads");
+
+const DAY_MS = 24 * 3600 * 1000;
+
+exports.handler = schedule("@daily", async (event) => {
+  connectStores(event);
+
+  const days = retentionDays();
+  if (!days) return { statusCode: 200, body: "Retention is off." };
+
+  const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+  const expired = (await getThreadRegistry().list()).filter((entry) => entry.createdAt < cutoff);
+
+  let purged = 0;
+  for (const entry of expired) {
+    try {
+      await forgetThread(entry.thread_id, { feedback: false });
+      purged++;
+    } catch (err) {
+      console.error(`purge-threads: couldn't forget ${entry.thread_id}:`, err);
+    }
+  }
+
+  const summary = `Forgot ${purged} of ${expired.length} conversations created before ${cutoff}.`;
+  console.log(`purge-threads: ${summary}`);
+  return { statusCode: 200, body: summary };
+});
@@ -0,0 +1,33 @@
+// netlify/functions/safety-matches.js
+
+// ✅ Lets the content team review the questions the safety rules flagged, newest first, to catch
+// false alarms and tune netlify/data/safety-rules.json. Needs "Authorization: Bearer <ADMIN_PASSWORD>".
+// Query string:
+//   emergency  only matches for this emergency, e.g. "gas"
+//   since      only matches on or after this date, e.g. 2025-03-01
+
+const { json, requireBearer, requireEnv, withHttp } = require("../lib/http");
+const { clientIp, enforceRateLimit } = require("../lib/rate-limit");
+const { getSafetyLog } = require("../lib/safety");
+
+exports.handler = withHttp({
+  name: "safety-matches",
+  methods: ["GET"],
+  schema: {
+    emergency: { type: "string", pattern: /^[a-z_]+$/ },
+    since: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  },
+  handler: async (event, { body }) => {
+    const [password] = requireEnv("ADMIN_PASSWORD");
+    await enforceRateLimit("admin", [{ budget: "admin_ip", key: clientIp(event) }]);
+    requireBearer(event, password, "Wrong password.");
+
+    const { emergency, since } = body;
+    const matches = (await getSafetyLog().list())
+      .filter((entry) => !emergency || entry.emergency === emergency)
+      .filter((entry) => !since || entry.at >= since)
+      .reverse();
+
+    return json(200, { count: matches.length, matches }, { "Cache-Control": "no-store" });
+  },
+});
@@ -0,0 +1,28 @@
+// netlify/functions/session.js
+
+// ✅ Who the browser is signed in as, so chatbot.js can show it and offer the right features:
+// { signedIn, role, label, name, features, loginUrl }. loginUrl is where "Sign in" goes
+// (AUTH_LOGIN_URL, or the test issuer when AUTH_TEST_ISSUER is on), or null when sign-in isn't
+// set up. An expired or invalid token gets 401 invalid_token, and the browser signs out.
+
+const { ROLES, authenticate } = require("../lib/auth");
+const { json, withHttp } = require("../lib/http");
+
+const loginUrl = () =>
+  process.env.AUTH_LOGIN_URL ||
+  (process.env.AUTH_TEST_ISSUER === "on" ? "/.netlify/functions/dev-login" : null);
+
+exports.handler = withHttp({
+  name: "session",
+  methods: ["GET"],
+  handler: async (event) => {
+    const user = authenticate(event);
+    const { label, features } = ROLES[user.role];
+
+    return json(
+      200,
+      { signedIn: Boolean(user.sub), role: user.role, label, name: user.name, features, loginUrl: loginUrl() },
+      { "Cache-Control": "no-store" }
+    );
+  },
+});
@@ -1,98 +1,47 @@
-const fetch = require('node-fetch');
-const ALLOWED_ORIGIN = 'https://masterplumbers.org.nz';
-
-exports.handler = async (event) => {
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      },
-      body: '',
-    };
-  }
-
-  try {
-    const { message, thread_id } = JSON.parse(event.body || '{}');
-    const apiKey = process.env.OPENAI_API_KEY;
-    const assistantId = process.env.OPENAI_ASSISTANT_ID;
-
-    if (!message || !apiKey || !assistantId) {
-      return {
-        statusCode: 400,
-        headers: { 'Access-Control-Allow-Origin': ALLOWED_ORIGIN },
-        body: JSON.stringify({ error: 'Missing message, assistant ID, or API key.' }),
-      };
-    }
-
-    let threadRes = { id: thread_id };
-
-    if (!thread_id) {
-      const createThreadRes = await fetch('https://api.openai.com/v1/threads', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'OpenAI-Beta': 'assistants=v2',
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (!createThreadRes.ok) {
-        const text = await createThreadRes.text();
-        throw new Error(`Thread creation failed: ${text}`);
-      }
-
-      threadRes = await createThreadRes.json();
+const { topicOf } = require('../lib/analytics');
+const { authenticate, roleInstructions } = require('../lib/auth');
+const { json, withHttp } = require('../lib/http');
+const { FILE_ID_PATTERN, MAX_IMAGES_PER_MESSAGE } = require('../lib/images');
+const { CONVERSATION_ID_PATTERN, getProvider } = require('../lib/providers');
+const { callerCheck, enforceRateLimit } = require('../lib/rate-limit');
+const { redact } = require('../lib/redact');
+const { classify, logSafetyMatch } = require('../lib/safety');
+const { registerThread } = require('../lib/threads');
+
+exports.handler = withHttp({
+  name: 'start-run',
+  schema: {
+    message: { type: 'string', required: true, maxLength: 4000 },
+    thread_id: { type: 'string', pattern: CONVERSATION_ID_PATTERN },
+    image_file_ids: { type: 'array', maxLength: MAX_IMAGES_PER_MESSAGE, itemPattern: FILE_ID_PATTERN },
+  },
+  handler: async (event, { body, requestId, metrics, errorFields }) => {
+    const { message, thread_id, image_file_ids } = body;
+    metrics.topic = topicOf(message);
+    // Emergencies get their banner with this response, even one refusing or failing the question
+    const safety = classify(message);
+    if (safety) errorFields.safety = safety;
+    const provider = getProvider();
+
+    const user = authenticate(event);
+
+    await enforceRateLimit('chat', [
+      callerCheck('chat', event, user),
+      { budget: 'chat_thread', key: thread_id },
+    ]);
+
+    // Personal details never reach the provider; the browser marks what was held back
+    const { text, redactions } = redact(message);
+
+    let threadId = thread_id;
+    if (!threadId) {
+      threadId = await provider.createConversation();
+      await registerThread(threadId, provider.name); // so it can be forgotten or purged later
     }
+    await provider.addMessage(threadId, { text, imageFileIds: image_file_ids });
+    const runId = await provider.startRun(threadId, { instructions: roleInstructions(user) });
+    if (safety) await logSafetyMatch({ fn: 'start-run', requestId, thread_id: threadId, text, safety });
 
-    const msgPostRes = await fetch(`https://api.openai.com/v1/threads/${threadRes.id}/messages`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'OpenAI-Beta': 'assistants=v2',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ role: 'user', content: message }),
-    });
-
-    if (!msgPostRes.ok) {
-      const text = await msgPostRes.text();
-      throw new Error(`Message post failed: ${text}`);
-    }
-
-    const runPostRes = await fetch(`https://api.openai.com/v1/threads/${threadRes.id}/runs`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'OpenAI-Beta': 'assistants=v2',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ assistant_id: assistantId }),
-    });
-
-    if (!runPostRes.ok) {
-      const text = await runPostRes.text();
-      throw new Error(`Run creation failed: ${text}`);
-    }
-
-    const runRes = await runPostRes.json();
-
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ thread_id: threadRes.id, run_id: runRes.id }),
-    };
-  } catch (error) {
-    console.error('start-run error:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Access-Control-Allow-Origin': ALLOWED_ORIGIN },
-      body: JSON.stringify({ error: error.message || 'Internal server error' }),
-    };
-  }
-};
+    return json(200, { thread_id: threadId, run_id: runId, redactions, safety });
+  },
+});
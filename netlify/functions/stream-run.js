@@ -0,0 +1,156 @@
+// netlify/functions/stream-run.js
+
+// ✅ Relays the provider's run as Server-Sent Events so the reply renders as it is generated.
+
+const { Readable } = require("stream");
+const { stream } = require("@netlify/functions");
+const { runMetrics, topicOf, trackEvent } = require("../lib/analytics");
+const { authenticate, roleInstructions } = require("../lib/auth");
+const { followUpsFor } = require("../lib/follow-ups");
+const { HttpError, withHttp } = require("../lib/http");
+const { FILE_ID_PATTERN, MAX_IMAGES_PER_MESSAGE } = require("../lib/images");
+const { CONVERSATION_ID_PATTERN, getProvider } = require("../lib/providers");
+const { callerCheck, enforceRateLimit } = require("../lib/rate-limit");
+const { redact } = require("../lib/redact");
+const { classify, logSafetyMatch } = require("../lib/safety");
+const { registerThread } = require("../lib/threads");
+const { runToolCalls } = require("../lib/tools");
+
+// Format one SSE frame for the browser
+const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const errorFrame = (e, requestId) =>
+  sse("error", {
+    error: {
+      code: e instanceof HttpError ? e.code : "stream_error",
+      message: e.message || "Stream interrupted",
+      requestId,
+    },
+  });
+
+// Post the question and relay its run. An emergency's banner goes out before the provider is
+// called at all, so a slow or failing provider can't hold it back.
+async function* answerQuestion(provider, question, requestId, { redactions, safety }) {
+  const { text, imageFileIds, instructions } = question;
+  let { threadId } = question;
+  let events;
+  if (safety) yield sse("safety", { safety });
+
+  try {
+    if (!threadId) {
+      threadId = await provider.createConversation();
+      await registerThread(threadId, provider.name);
+    }
+    await provider.addMessage(threadId, { text, imageFileIds });
+    events = await provider.streamRun(threadId, { instructions });
+  } catch (e) {
+    console.error(`stream-run start error [${requestId}]:`, e);
+    await trackEvent({ type: "answer", fn: "stream-run", requestId, runStatus: "stream_error" });
+    yield errorFrame(e, requestId);
+    return;
+  } finally {
+    if (safety) await logSafetyMatch({ fn: "stream-run", requestId, thread_id: threadId, text, safety });
+  }
+  yield* relayRun(provider, events, threadId, requestId, redactions);
+}
+
+// Translate provider run events into the smaller set the client understands.
+// Submitting tool outputs starts a new stream for the same run, which is relayed in turn.
+async function* relayRun(provider, events, threadId, requestId, redactions) {
+  let runId = null;
+  let finished = null;
+  let cards = [];
+
+  try {
+    const streams = [events];
+    while (streams.length) {
+      for await (const event of streams.shift()) {
+        switch (event.type) {
+          case "run":
+            runId = event.runId;
+            yield sse("run", { thread_id: threadId, run_id: runId, redactions });
+            break;
+
+          case "delta":
+            yield sse("delta", { text: event.text });
+            break;
+
+          case "requires_action": {
+            const result = await runToolCalls(event.toolCalls);
+            if (result.cards.length) {
+              cards = [...cards, ...result.cards];
+              yield sse("cards", { cards: result.cards });
+            }
+            streams.push(await provider.streamToolOutputs(threadId, event.runId, result.toolOutputs));
+            break;
+          }
+
+          case "finished":
+            finished = event;
+            break;
+        }
+      }
+    }
+    if (!finished) throw new Error("Stream ended before the run finished");
+
+    // Recorded first: the browser may hang up as soon as it has the answer
+    const { run, answer } = finished;
+    await trackEvent({ type: "answer", fn: "stream-run", requestId, ...runMetrics(run) });
+    yield sse("done", {
+      reply: answer.reply,
+      sources: answer.sources,
+      cards,
+      follow_ups: run.status === "completed" ? await followUpsFor(provider, answer.reply) : [],
+      thread_id: threadId,
+      run_id: runId,
+      status: run.status,
+      last_error: run.last_error,
+    });
+  } catch (e) {
+    console.error(`stream-run relay error [${requestId}]:`, e);
+    await trackEvent({ type: "answer", fn: "stream-run", requestId, runStatus: "stream_error" });
+    yield errorFrame(e, requestId);
+  }
+}
+
+exports.handler = stream(
+  withHttp({
+    name: "stream-run",
+    schema: {
+      message: { type: "string", required: true, maxLength: 4000 },
+      thread_id: { type: "string", pattern: CONVERSATION_ID_PATTERN },
+      image_file_ids: { type: "array", maxLength: MAX_IMAGES_PER_MESSAGE, itemPattern: FILE_ID_PATTERN },
+    },
+    handler: async (event, { body, requestId, metrics, errorFields }) => {
+      const { message, thread_id, image_file_ids } = body;
+      metrics.topic = topicOf(message);
+      const safety = classify(message);
+      if (safety) errorFields.safety = safety;
+      const provider = getProvider();
+
+      const user = authenticate(event);
+
+      await enforceRateLimit("chat", [
+        callerCheck("chat", event, user),
+        { budget: "chat_thread", key: thread_id },
+      ]);
+
+      const { text, redactions } = redact(message);
+      const question = {
+        text,
+        threadId: thread_id,
+        imageFileIds: image_file_ids,
+        instructions: roleInstructions(user),
+      };
+
+      return {
+        statusCode: 200,
+        headers: {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+        },
+        body: Readable.from(answerQuestion(provider, question, requestId, { redactions, safety })),
+      };
+    },
+  })
+);
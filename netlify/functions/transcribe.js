@@ -1,118 +1,115 @@
 // netlify/functions/transcribe.js
 
-// ✅ No external requires: uses Node 18+ built-in fetch & FormData
+// ✅ Turns recorded speech into text with timings, using the provider's transcription (Whisper).
+//
+// Send the audio itself (Content-Type: audio/webm etc., fields in the query string), or JSON with
+// audioBase64 from older clients. Long recordings arrive as separate pieces: pass the piece's start
+// (offset, seconds), the text so far (prompt) and the language found so far, and every timing in
+// the reply is relative to the whole recording. The prompt is redacted like a chat message, since it
+// is what the caller said before.
 
-const allowedOrigins = [
-  "https://masterplumbers.org.nz",
-  "https://resilient-palmier-22bdf1.netlify.app",
-  "https://caitskinz.github.io/tobytest/", // replace with staging
-  "https://your-test-site-2.netlify.app", // replace with staging
-  "http://localhost:8888", // Netlify dev
-];
+const { authenticate } = require("../lib/auth");
+const { HttpError, json, withHttp } = require("../lib/http");
+const { getProvider } = require("../lib/providers");
+const { callerCheck, enforceRateLimit } = require("../lib/rate-limit");
+const { redact } = require("../lib/redact");
 
-exports.handler = async (event) => {
-  const origin = event.headers.origin;
-  const corsOrigin = allowedOrigins.includes(origin) ? origin : allowedOrigins[0];
+// Netlify caps a request at 6 MB, and a binary body is base64-encoded on the way in
+const MAX_AUDIO_BYTES = 4 * 1024 * 1024;
 
-  // Handle preflight
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers: {
-        "Access-Control-Allow-Origin": corsOrigin,
-        "Access-Control-Allow-Headers": "Content-Type",
-        "Access-Control-Allow-Methods": "POST, OPTIONS",
-      },
-      body: "",
-    };
-  }
+// Whisper works the format out from the file name
+const AUDIO_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "mp4",
+  "audio/m4a": "m4a",
+  "audio/x-m4a": "m4a",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+};
 
-  if (event.httpMethod !== "POST") {
-    return {
-      statusCode: 405,
-      headers: { "Access-Control-Allow-Origin": corsOrigin },
-      body: "Method Not Allowed",
-    };
-  }
+// Whisper reports the language by name but takes a hint as an ISO-639-1 code
+const LANGUAGE_CODES = {
+  afrikaans: "af",
+  arabic: "ar",
+  chinese: "zh",
+  dutch: "nl",
+  english: "en",
+  french: "fr",
+  german: "de",
+  gujarati: "gu",
+  hindi: "hi",
+  indonesian: "id",
+  italian: "it",
+  japanese: "ja",
+  korean: "ko",
+  malay: "ms",
+  maori: "mi",
+  portuguese: "pt",
+  punjabi: "pa",
+  russian: "ru",
+  spanish: "es",
+  tagalog: "tl",
+  tamil: "ta",
+  thai: "th",
+  urdu: "ur",
+  vietnamese: "vi",
+};
 
-  try {
-    const { audioBase64, mimeType = "audio/webm", fileName = "recording.webm" } =
-      JSON.parse(event.body || "{}");
+const round = (seconds) => Math.round(seconds * 100) / 100;
 
-    if (!audioBase64) {
-      return {
-        statusCode: 400,
-        headers: {
-          "Access-Control-Allow-Origin": corsOrigin,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ error: "Missing audioBase64" }),
-      };
-    }
+exports.handler = withHttp({
+  name: "transcribe",
+  binaryTypes: ["audio/"],
+  schema: {
+    audioBase64: { type: "string" },
+    mimeType: { type: "string", default: "audio/webm", pattern: /^audio\/[\w.+-]+(;.*)?$/ },
+    fileName: { type: "string", pattern: /^[\w.-]+$/ },
+    offset: { type: "string", default: "0", pattern: /^\d{1,5}(\.\d{1,3})?$/ },
+    prompt: { type: "string", maxLength: 500 },
+    language: { type: "string", pattern: /^[a-z]{2}$/ },
+  },
+  handler: async (event, { body, raw, metrics }) => {
+    const { audioBase64, offset, prompt, language } = body;
+    const mimeType = raw ? event.headers["content-type"] : body.mimeType;
+    const user = authenticate(event);
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return {
-        statusCode: 500,
-        headers: {
-          "Access-Control-Allow-Origin": corsOrigin,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ error: "Missing OPENAI_API_KEY" }),
-      };
+    const buffer = raw || Buffer.from(audioBase64 || "", "base64");
+    if (!buffer.length) throw new HttpError(400, "invalid_request", "Missing audio.");
+    if (buffer.length > MAX_AUDIO_BYTES) {
+      throw new HttpError(
+        413,
+        "audio_too_large",
+        `Audio must be sent in pieces of ${MAX_AUDIO_BYTES / 1024 / 1024} MB or less.`
+      );
     }
 
-    // Decode base64 → buffer
-    const buffer = Buffer.from(audioBase64, "base64");
+    await enforceRateLimit("stt", [callerCheck("stt", event, user)], buffer.length);
 
-    // Create form with Blob
-    const form = new FormData();
-    const blob = new Blob([buffer], { type: mimeType });
-    form.append("file", blob, fileName);
-    form.append("model", "whisper-1"); // or gpt-4o-mini-transcribe
+    const baseType = mimeType.split(";")[0].trim().toLowerCase();
+    const fileName = body.fileName || `recording.${AUDIO_EXTENSIONS[baseType] || "webm"}`;
 
-    // Call OpenAI
-    const resp = await fetch("https://api.openai.com/v1/audio/transcriptions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: form,
+    const data = await getProvider().transcribe({
+      audio: buffer,
+      mimeType,
+      fileName,
+      prompt: prompt && redact(prompt).text,
+      language,
     });
+    const start = Number(offset);
+    metrics.sttSeconds = data.duration || 0;
+    const detected = String(data.language || "").toLowerCase();
 
-    if (!resp.ok) {
-      const errText = await resp.text();
-      console.error("OpenAI STT error:", errText);
-      return {
-        statusCode: 502,
-        headers: {
-          "Access-Control-Allow-Origin": corsOrigin,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ error: "OpenAI STT failed", detail: errText }),
-      };
-    }
-
-    const data = await resp.json();
-    const text = data.text || "";
-
-    return {
-      statusCode: 200,
-      headers: {
-        "Access-Control-Allow-Origin": corsOrigin,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ text }),
-    };
-  } catch (e) {
-    console.error("Transcribe function error:", e);
-    return {
-      statusCode: 500,
-      headers: {
-        "Access-Control-Allow-Origin": corsOrigin,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ error: "Internal server error" }),
-    };
-  }
-};
+    return json(200, {
+      text: (data.text || "").trim(),
+      language: LANGUAGE_CODES[detected] || language || null,
+      duration: round(data.duration || 0),
+      segments: (data.segments || []).map((segment) => ({
+        start: round(start + segment.start),
+        end: round(start + segment.end),
+        text: segment.text.trim(),
+      })),
+    });
+  },
+});
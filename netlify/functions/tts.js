@@ -1,100 +1,112 @@
 // netlify/functions/tts.js
 
-// ✅ No external requires: uses Node 18+ built-in fetch
+// ✅ Streams the provider's speech as audio/mpeg (or wav) and caches it by a hash of text + voice +
+// model, so answers that come up again are served without synthesizing them twice.
+// GET (query string) lets an <audio> element start playing while the audio streams in.
+// X-Cache tells whether the audio came from the cache (HIT) or was just generated (MISS).
+// Signed-in callers fetch with their token in the Authorization header; their audio is marked
+// private, no-store so no shared cache keeps a copy.
+// With thread_id, the cache entry is noted against that conversation so forgetting it deletes the audio.
 
-const allowedOrigins = [
-  "https://masterplumbers.org.nz",
-  "https://resilient-palmier-22bdf1.netlify.app",
-  "https://caitskinz.github.io/tobytest/", // replace with staging
-  "https://your-test-site-2.netlify.app", // replace with staging
-  "http://localhost:8888",
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { stream } = require("@netlify/functions");
+const { authenticate } = require("../lib/auth");
+const { withHttp } = require("../lib/http");
+const { CONVERSATION_ID_PATTERN, getProvider } = require("../lib/providers");
+const { callerCheck, enforceRateLimit } = require("../lib/rate-limit");
+const { getStore } = require("../lib/stores");
+const { getThreadRegistry } = require("../lib/threads");
+
+const CACHE_TTL_SECONDS = 30 * 24 * 3600;
+const CONTENT_TYPES = { mp3: "audio/mpeg", wav: "audio/wav" };
+
+// Voices gpt-4o-mini-tts supports; settings.js offers the same list
+const TTS_VOICES = [
+  "alloy",
+  "ash",
+  "ballad",
+  "coral",
+  "echo",
+  "fable",
+  "nova",
+  "onyx",
+  "sage",
+  "shimmer",
+  "verse",
 ];
 
-exports.handler = async (event) => {
-  const origin = event.headers.origin;
-  const corsOrigin = allowedOrigins.includes(origin) ? origin : allowedOrigins[0];
+const cacheKey = (model, { text, voice, format }) =>
+  crypto.createHash("sha256").update(JSON.stringify([model, voice, format, text])).digest("hex");
 
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers: {
-        "Access-Control-Allow-Origin": corsOrigin,
-        "Access-Control-Allow-Headers": "Content-Type",
-        "Access-Control-Allow-Methods": "POST, OPTIONS",
-      },
-      body: "",
-    };
-  }
+const audioHeaders = (format, cache, user) => ({
+  "Content-Type": CONTENT_TYPES[format],
+  // The same request always produces the same audio, so browsers may keep it too
+  "Cache-Control": user.sub ? "private, no-store" : "public, max-age=86400",
+  "X-Cache": cache,
+});
 
-  if (event.httpMethod !== "POST") {
-    return {
-      statusCode: 405,
-      headers: { "Access-Control-Allow-Origin": corsOrigin },
-      body: "Method Not Allowed",
-    };
+// Pass the audio through as it arrives, then cache it once the whole file has been sent
+async function* relayAndCache(body, key) {
+  const chunks = [];
+  for await (const chunk of body) {
+    const buffer = Buffer.from(chunk);
+    chunks.push(buffer);
+    yield buffer;
   }
-
   try {
-    const { text, voice = "alloy", format = "mp3" } = JSON.parse(event.body || "{}");
-    if (!text) {
-      return {
-        statusCode: 400,
-        headers: { "Access-Control-Allow-Origin": corsOrigin, "Content-Type": "application/json" },
-        body: JSON.stringify({ error: "Missing text" }),
-      };
-    }
+    await getStore("tts-cache").setBuffer(key, Buffer.concat(chunks), { ttlSeconds: CACHE_TTL_SECONDS });
+  } catch (e) {
+    console.error("TTS cache write failed:", e);
+  }
+}
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return {
-        statusCode: 500,
-        headers: { "Access-Control-Allow-Origin": corsOrigin, "Content-Type": "application/json" },
-        body: JSON.stringify({ error: "Missing OPENAI_API_KEY" }),
-      };
-    }
+exports.handler = stream(
+  withHttp({
+    name: "tts",
+    methods: ["GET", "POST"],
+    schema: {
+      text: { type: "string", required: true, maxLength: 4096 },
+      voice: { type: "string", default: "alloy", enum: TTS_VOICES },
+      format: { type: "string", default: "mp3", enum: ["mp3", "wav"] },
+      thread_id: { type: "string", pattern: CONVERSATION_ID_PATTERN },
+    },
+    handler: async (event, { body, metrics }) => {
+      const { text, voice, format, thread_id } = body;
+      metrics.ttsChars = text.length;
+      const user = authenticate(event);
+      const provider = getProvider();
+      const key = cacheKey(provider.ttsModel, body);
 
-    // Call OpenAI TTS
-    const resp = await fetch("https://api.openai.com/v1/audio/speech", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini-tts",
-        voice,
-        input: text,
-        format, // mp3 or wav
-      }),
-    });
+      if (thread_id) {
+        try {
+          await getThreadRegistry().addAudio(thread_id, key);
+        } catch (e) {
+          console.error("TTS thread registry write failed:", e);
+        }
+      }
 
-    if (!resp.ok) {
-      const errText = await resp.text();
-      console.error("OpenAI TTS error:", errText);
-      return {
-        statusCode: 502,
-        headers: { "Access-Control-Allow-Origin": corsOrigin, "Content-Type": "application/json" },
-        body: JSON.stringify({ error: "OpenAI TTS failed", detail: errText }),
-      };
-    }
+      let cached = null;
+      try {
+        cached = await getStore("tts-cache").getBuffer(key);
+      } catch (e) {
+        console.error("TTS cache read failed:", e);
+      }
+      metrics.cache = cached ? "HIT" : "MISS";
+      if (cached) {
+        return { statusCode: 200, headers: audioHeaders(format, "HIT", user), body: Readable.from([cached]) };
+      }
 
-    const arrayBuffer = await resp.arrayBuffer();
-    const base64Audio = Buffer.from(arrayBuffer).toString("base64");
+      // Only freshly synthesized characters count against the budget
+      await enforceRateLimit("tts", [callerCheck("tts", event, user)], text.length);
 
-    return {
-      statusCode: 200,
-      headers: {
-        "Access-Control-Allow-Origin": corsOrigin,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ audioBase64: base64Audio, mimeType: `audio/${format}` }),
-    };
-  } catch (e) {
-    console.error("TTS function error:", e);
-    return {
-      statusCode: 500,
-      headers: { "Access-Control-Allow-Origin": corsOrigin, "Content-Type": "application/json" },
-      body: JSON.stringify({ error: "Internal server error" }),
-    };
-  }
-};
+      const audio = await provider.speak({ text, voice, format });
+
+      return {
+        statusCode: 200,
+        headers: audioHeaders(format, "MISS", user),
+        body: Readable.from(relayAndCache(audio, key)),
+      };
+    },
+  })
+);
@@ -0,0 +1,45 @@
+// netlify/functions/upload-image.js
+
+// ✅ Stores a photo with the provider (OpenAI Files, purpose "vision") so the next chat message can
+// include it. The client already resizes and compresses photos; type and size are enforced again here.
+
+const { authenticate } = require("../lib/auth");
+const { HttpError, json, withHttp } = require("../lib/http");
+const { IMAGE_TYPES, MAX_IMAGE_BYTES, sniffImageType } = require("../lib/images");
+const { getProvider } = require("../lib/providers");
+const { callerCheck, enforceRateLimit } = require("../lib/rate-limit");
+
+exports.handler = withHttp({
+  name: "upload-image",
+  schema: {
+    imageBase64: { type: "string", required: true },
+    mimeType: { type: "string", required: true, enum: Object.keys(IMAGE_TYPES) },
+    fileName: { type: "string", default: "photo", pattern: /^[\w-]{1,64}$/ },
+  },
+  handler: async (event, { body }) => {
+    const { imageBase64, mimeType, fileName } = body;
+    const user = authenticate(event);
+
+    const buffer = Buffer.from(imageBase64, "base64");
+    if (buffer.length > MAX_IMAGE_BYTES) {
+      throw new HttpError(
+        413,
+        "image_too_large",
+        `Photos must be ${MAX_IMAGE_BYTES / 1024 / 1024} MB or smaller.`
+      );
+    }
+    if (sniffImageType(buffer) !== mimeType) {
+      throw new HttpError(415, "unsupported_image", "Photos must be JPEG, PNG, WebP or GIF images.");
+    }
+
+    await enforceRateLimit("upload", [callerCheck("upload", event, user)]);
+
+    const fileId = await getProvider().uploadImage({
+      image: buffer,
+      mimeType,
+      fileName: `${fileName}.${IMAGE_TYPES[mimeType].ext}`,
+    });
+
+    return json(200, { file_id: fileId, bytes: buffer.length, mimeType });
+  },
+});
@@ -0,0 +1,317 @@
+// netlify/lib/analytics.js
+
+// Structured usage events for the admin dashboard (admin-stats.js). Every call made through withHttp
+// records a "request" event: function, status, latency, error code, plus whatever the handler put in
+// `metrics` (question topic, TTS characters, STT seconds). Finished assistant runs also record an
+// "answer" event with the run's status, latency, model and token usage. Questions are reduced to a
+// topic; their text is never stored here.
+//
+// ANALYTICS_STORE picks the backend:
+//   "jsonl"  one JSON line per event appended to ANALYTICS_FILE (default .netlify/analytics.jsonl)
+//   "store"  one entry per event in the shared key-value store, kept for RETENTION_DAYS
+//   "off"    record nothing
+// By default it follows TOBY_STORE: "store" wherever Netlify Blobs is used, "jsonl" otherwise.
+
+const fs = require("fs/promises");
+const path = require("path");
+const { getStore, storeBackend } = require("./stores");
+
+const RETENTION_DAYS = 120;
+const READ_CONCURRENCY = 25;
+const DAY_MS = 24 * 3600 * 1000;
+
+// Rough USD prices for the cost estimate. Check https://openai.com/api/pricing when models change.
+const PRICES = {
+  // Per million tokens: [input, output]. Models are matched by prefix, longest first.
+  tokens: {
+    "gpt-4o-mini": [0.15, 0.6],
+    "gpt-4o": [2.5, 10],
+    "gpt-4.1-nano": [0.1, 0.4],
+    "gpt-4.1-mini": [0.4, 1.6],
+    "gpt-4.1": [2, 8],
+    mock: [0, 0], // TOBY_PROVIDER=mock
+  },
+  defaultModel: "gpt-4o",
+  ttsPerMillionChars: 15,
+  sttPerMinute: 0.006,
+};
+
+// First match wins; anything else is "Other"
+const TOPICS = [
+  ["Backflow", /backflow|\brpz\b|testable device|double check valve/i],
+  ["Gas", /\bgas\b|\blpg\b|gasfit|\bflue\b|regulator/i],
+  ["Hot water", /hot water|cylinder|califont|tempering|\bhws\b|thermostat/i],
+  ["Drainage", /drain|sewer|stormwater|gully|septic|wastewater|soakage/i],
+  ["Consents & compliance", /consent|compliance|\bcoc\b|building code|\bnzs\b|\bG1[23]\b|inspection|certif/i],
+  ["Licensing & training", /licen[cs]|apprentic|registration|\bpgdb\b|exam|training|\bcpd\b/i],
+  ["Finding a plumber", /find (a|me)|recommend|near me|master plumber|\bquote\b/i],
+  ["Leaks & blockages", /leak|drip|burst|block/i],
+  ["Water supply", /pressure|mains|water supply|\btank\b|\bpump\b|filter/i],
+  ["Fixtures & fittings", /toilet|cistern|\btaps?\b|mixer|shower|basin|sink|valve|pipe|fitting/i],
+];
+
+const topicOf = (text) => (TOPICS.find(([, pattern]) => pattern.test(text)) || ["Other"])[0];
+
+// What a finished run tells us (Assistants fields; every provider reports runs this way)
+function runMetrics(run) {
+  const finishedAt =
+    run.completed_at || run.failed_at || run.cancelled_at || run.expired_at || run.incomplete_at;
+  return {
+    runStatus: run.status,
+    answerMs: run.created_at && finishedAt ? (finishedAt - run.created_at) * 1000 : null,
+    model: run.model || null,
+    usage: run.usage
+      ? { prompt: run.usage.prompt_tokens || 0, completion: run.usage.completion_tokens || 0 }
+      : null,
+  };
+}
+
+function backendName() {
+  return process.env.ANALYTICS_STORE || (storeBackend() === "blobs" ? "store" : "jsonl");
+}
+
+const analyticsFile = () => path.resolve(process.env.ANALYTICS_FILE || ".netlify/analytics.jsonl");
+
+/**
+ * Record one event, e.g. trackEvent({ type: "answer", fn: "check-run", requestId, ...runMetrics(run) }).
+ * Never throws: losing an event mustn't fail the request it describes.
+ */
+async function trackEvent(event) {
+  const entry = { at: new Date().toISOString(), ...event };
+  try {
+    const backend = backendName();
+    if (backend === "off") return;
+    if (backend === "jsonl") {
+      const file = analyticsFile();
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify(entry) + "\n");
+    } else if (backend === "store") {
+      // Keyed by day so a date range is a handful of prefix listings
+      const id = entry.requestId || Math.random().toString(36).slice(2);
+      const key = `${entry.at.slice(0, 10)}/${entry.at}-${entry.type}-${id}`;
+      await getStore("analytics").set(key, entry, { ttlSeconds: RETENTION_DAYS * 24 * 3600 });
+    } else {
+      throw new Error(`Unknown ANALYTICS_STORE backend: ${backend}`);
+    }
+  } catch (err) {
+    console.error("Analytics event lost:", err.message);
+  }
+}
+
+// get() every key, a few at a time
+async function readAll(store, keys) {
+  const entries = [];
+  for (let i = 0; i < keys.length; i += READ_CONCURRENCY) {
+    const batch = keys.slice(i, i + READ_CONCURRENCY);
+    entries.push(...(await Promise.all(batch.map((key) => store.get(key)))));
+  }
+  return entries.filter(Boolean);
+}
+
+// Events recorded at or after `since` (a Date), oldest first
+async function listEvents(since) {
+  const backend = backendName();
+  const from = since.toISOString();
+
+  if (backend === "jsonl") {
+    let text;
+    try {
+      text = await fs.readFile(analyticsFile(), "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    return text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter((event) => event && event.at >= from);
+  }
+
+  if (backend === "store") {
+    const store = getStore("analytics");
+    const keys = [];
+    for (let day = Date.parse(from.slice(0, 10)); day <= Date.now(); day += DAY_MS) {
+      keys.push(...(await store.list(`${new Date(day).toISOString().slice(0, 10)}/`)));
+    }
+    return (await readAll(store, keys))
+      .filter((event) => event.at >= from)
+      .sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  return [];
+}
+
+// === Aggregation ===
+const percentile = (sorted, p) =>
+  sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] : null;
+
+function latencyStats(values) {
+  const sorted = values.filter((v) => typeof v === "number").sort((a, b) => a - b);
+  return { count: sorted.length, p50: percentile(sorted, 50), p95: percentile(sorted, 95) };
+}
+
+function tokenPrices(model) {
+  const name = Object.keys(PRICES.tokens)
+    .sort((a, b) => b.length - a.length)
+    .find((prefix) => String(model || "").startsWith(prefix));
+  return PRICES.tokens[name || PRICES.defaultModel];
+}
+
+// Estimated USD for one event
+function eventCost(event) {
+  if (event.type === "answer" && event.usage) {
+    const [input, output] = tokenPrices(event.model);
+    return { chat: (event.usage.prompt * input + event.usage.completion * output) / 1e6, tts: 0, stt: 0 };
+  }
+  if (event.type === "request" && event.ttsChars && event.cache !== "HIT") {
+    return { chat: 0, tts: (event.ttsChars * PRICES.ttsPerMillionChars) / 1e6, stt: 0 };
+  }
+  if (event.type === "request" && event.sttSeconds) {
+    return { chat: 0, tts: 0, stt: (event.sttSeconds / 60) * PRICES.sttPerMinute };
+  }
+  return { chat: 0, tts: 0, stt: 0 };
+}
+
+const roundCost = (usd) => Math.round(usd * 10000) / 10000;
+
+/**
+ * Roll events up into what the dashboard shows. Days are calendar days in timeZone.
+ * "Errors" are responses of 500 or more; rate-limited (429) requests are counted separately.
+ */
+function summarize(events, { since, until = new Date(), timeZone = "Pacific/Auckland" } = {}) {
+  const dayOf = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  });
+  const emptyDay = (date) => ({
+    date,
+    questions: 0,
+    answers: 0,
+    failedAnswers: 0,
+    requests: 0,
+    errors: 0,
+    rateLimited: 0,
+    ttsChars: 0,
+    sttSeconds: 0,
+    costUsd: 0,
+    answerMs: [],
+  });
+
+  // Every day in the range gets a row, even a quiet one
+  const days = new Map();
+  const dayFor = (time) => {
+    const date = dayOf.format(new Date(time));
+    if (!days.has(date)) days.set(date, emptyDay(date));
+    return days.get(date);
+  };
+  for (let t = since.getTime(); t < until.getTime(); t += DAY_MS) dayFor(t);
+  dayFor(until.getTime());
+
+  const functions = new Map();
+  const runStatuses = {};
+  const topics = {};
+  const tokens = { prompt: 0, completion: 0 };
+  const cost = { chat: 0, tts: 0, stt: 0 };
+
+  for (const event of events) {
+    const day = dayFor(event.at);
+
+    const spent = eventCost(event);
+    for (const part of Object.keys(cost)) cost[part] += spent[part];
+    day.costUsd += spent.chat + spent.tts + spent.stt;
+
+    if (event.type === "request") {
+      if (!functions.has(event.fn)) {
+        functions.set(event.fn, { fn: event.fn, requests: 0, errors: 0, rateLimited: 0, latencyMs: [] });
+      }
+      const fn = functions.get(event.fn);
+      fn.requests += 1;
+      fn.latencyMs.push(event.latencyMs);
+      day.requests += 1;
+      if (event.status >= 500) {
+        fn.errors += 1;
+        day.errors += 1;
+      } else if (event.status === 429) {
+        fn.rateLimited += 1;
+        day.rateLimited += 1;
+      }
+      if (event.topic && event.status < 400) {
+        day.questions += 1;
+        topics[event.topic] = (topics[event.topic] || 0) + 1;
+      }
+      if (event.ttsChars && event.cache !== "HIT") day.ttsChars += event.ttsChars;
+      if (event.sttSeconds) day.sttSeconds += event.sttSeconds;
+    } else if (event.type === "answer") {
+      runStatuses[event.runStatus] = (runStatuses[event.runStatus] || 0) + 1;
+      if (event.runStatus === "completed") {
+        day.answers += 1;
+        day.answerMs.push(event.answerMs);
+      } else {
+        day.failedAnswers += 1;
+      }
+      if (event.usage) {
+        tokens.prompt += event.usage.prompt;
+        tokens.completion += event.usage.completion;
+      }
+    }
+  }
+
+  const daily = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const sum = (field) => daily.reduce((total, d) => total + d[field], 0);
+  const answers = sum("answers");
+  const failedAnswers = sum("failedAnswers");
+
+  return {
+    since: since.toISOString(),
+    until: until.toISOString(),
+    timeZone,
+    totals: {
+      questions: sum("questions"),
+      answers,
+      failedAnswers,
+      answerFailureRate: answers + failedAnswers ? failedAnswers / (answers + failedAnswers) : 0,
+      requests: sum("requests"),
+      errors: sum("errors"),
+      rateLimited: sum("rateLimited"),
+      ttsChars: sum("ttsChars"),
+      sttSeconds: Math.round(sum("sttSeconds")),
+      tokens,
+      costUsd: {
+        chat: roundCost(cost.chat),
+        tts: roundCost(cost.tts),
+        stt: roundCost(cost.stt),
+        total: roundCost(cost.chat + cost.tts + cost.stt),
+      },
+    },
+    answerLatency: latencyStats(daily.flatMap((d) => d.answerMs)),
+    daily: daily.map(({ answerMs, ...day }) => ({
+      ...day,
+      sttSeconds: Math.round(day.sttSeconds),
+      costUsd: roundCost(day.costUsd),
+      answerLatency: latencyStats(answerMs),
+    })),
+    functions: [...functions.values()]
+      .map(({ latencyMs, ...fn }) => ({
+        ...fn,
+        errorRate: fn.errors / fn.requests,
+        latency: latencyStats(latencyMs),
+      }))
+      .sort((a, b) => b.requests - a.requests),
+    runStatuses,
+    topics: Object.entries(topics)
+      .map(([topic, count]) => ({ topic, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10),
+  };
+}
+
+module.exports = { PRICES, listEvents, runMetrics, summarize, topicOf, trackEvent };
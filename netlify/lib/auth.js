@@ -0,0 +1,141 @@
+// netlify/lib/auth.js
+
+// Optional member sign-in. A caller may send a signed JWT ("Authorization: Bearer <token>"); the
+// token's role claim picks what it unlocks. Tokens are never taken from the query string, where
+// they would end up in logs, browser history and shared caches. Anyone without a token is "public",
+// exactly as before sign-in existed.
+//   AUTH_JWT_SECRET      HS256 shared secret (also what dev-login signs with)
+//   AUTH_JWT_PUBLIC_KEY  RS256 public key, PEM ("\n" escapes are fine in the env var)
+//   AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE  checked against iss / aud when set
+//   AUTH_ROLE_CLAIM      the claim holding the role, a string or a list (default "role")
+// Tokens must carry sub and exp. An invalid or expired token fails with 401 invalid_token rather
+// than quietly falling back to public, so the browser knows to sign in again.
+
+const crypto = require("crypto");
+const { HttpError } = require("./http");
+
+// What each role unlocks. instructions are added to the assistant's own for that caller's answers.
+const ROLES = {
+  public: { label: "Public", features: [], instructions: null },
+  member: {
+    label: "Master Plumbers member",
+    features: ["trade_answers"],
+    instructions:
+      "The user is a licensed Master Plumbers member. Answer at trade level: cite the relevant " +
+      "clauses of the Plumbing Code, G12/G13 and AS/NZS 3500, give technical detail such as sizing, " +
+      "falls and pressures, and skip advice to call a plumber.",
+  },
+  apprentice: {
+    label: "Apprentice",
+    features: ["trade_answers"],
+    instructions:
+      "The user is a plumbing apprentice. Answer at trade level and cite the relevant clauses, " +
+      "explain the reasoning behind each requirement, and remind them that restricted work must be " +
+      "supervised and signed off by their licensed supervisor.",
+  },
+};
+
+// When a token lists several roles, the first of these it has wins
+const ROLE_PRECEDENCE = ["member", "apprentice"];
+
+const LEEWAY_SECONDS = 60; // clock skew allowed on exp and nbf
+
+const PUBLIC_USER = { role: "public", sub: null, name: null };
+
+const invalidToken = (message) =>
+  new HttpError(401, "invalid_token", message, { "WWW-Authenticate": 'Bearer error="invalid_token"' });
+
+// A header or payload must be a JSON object; null, arrays and bare values are malformed
+const decodePart = (part) => {
+  const value = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  if (value === null || typeof value !== "object" || Array.isArray(value)) throw new Error("not an object");
+  return value;
+};
+
+const hs256 = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest();
+
+function signatureValid(alg, data, signature) {
+  const secret = process.env.AUTH_JWT_SECRET;
+  const publicKey = (process.env.AUTH_JWT_PUBLIC_KEY || "").replace(/\\n/g, "\n");
+
+  if (alg === "HS256" && secret) {
+    const expected = hs256(data, secret);
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  }
+  if (alg === "RS256" && publicKey) {
+    return crypto.verify("RSA-SHA256", Buffer.from(data), publicKey, signature);
+  }
+  if (!secret && !publicKey) {
+    throw new HttpError(500, "server_misconfigured", "Server misconfiguration: sign-in is not set up");
+  }
+  throw invalidToken(`Tokens signed with ${alg} are not accepted.`);
+}
+
+// The verified claims of a compact JWT, or a 401 saying what was wrong with it
+function verifyToken(token) {
+  const parts = token.split(".");
+  let header, claims;
+  try {
+    if (parts.length !== 3) throw new Error("not three parts");
+    header = decodePart(parts[0]);
+    claims = decodePart(parts[1]);
+  } catch (e) {
+    throw invalidToken("Malformed token.");
+  }
+
+  const signature = Buffer.from(parts[2], "base64url");
+  if (!signatureValid(header.alg, `${parts[0]}.${parts[1]}`, signature)) {
+    throw invalidToken("Token signature is invalid.");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp + LEEWAY_SECONDS < now) {
+    throw invalidToken("Your sign-in has expired. Please sign in again.");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - LEEWAY_SECONDS > now) {
+    throw invalidToken("Token is not valid yet.");
+  }
+  const { AUTH_JWT_ISSUER: issuer, AUTH_JWT_AUDIENCE: audience } = process.env;
+  if (issuer && claims.iss !== issuer) throw invalidToken("Token was issued by someone else.");
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw invalidToken("Token is meant for another service.");
+  }
+  if (!claims.sub) throw invalidToken("Token has no subject.");
+  return claims;
+}
+
+function roleOf(claims) {
+  const claimed = [].concat(claims[process.env.AUTH_ROLE_CLAIM || "role"]);
+  return ROLE_PRECEDENCE.find((role) => claimed.includes(role)) || "public";
+}
+
+/**
+ * Who is calling: { role, sub, name }, with role "public" and sub null when no token was sent.
+ * Throws a 401 HttpError for a token that doesn't verify.
+ */
+function authenticate(event) {
+  const header = String((event.headers || {}).authorization || "");
+  const token = /^Bearer\s+/i.test(header) ? header.replace(/^Bearer\s+/i, "").trim() : "";
+  if (!token) return PUBLIC_USER;
+
+  const claims = verifyToken(token);
+  return { role: roleOf(claims), sub: String(claims.sub), name: claims.name || claims.email || null };
+}
+
+// Extra instructions for this caller's answers, or undefined for the assistant's own
+const roleInstructions = (user) => ROLES[user.role].instructions || undefined;
+
+// An HS256 token for the local test issuer (dev-login.js)
+function signToken(claims, secret) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const data = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  return `${data}.${hs256(data, secret).toString("base64url")}`;
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  roleInstructions,
+  signToken,
+  verifyToken,
+};
@@ -0,0 +1,124 @@
+// netlify/lib/citations.js
+
+// Turns an Assistants message's file_citation annotations into numbered footnotes
+// ([^1], [^2] …) plus a structured list of sources the client can show.
+// The Responses adapter builds the same { reply, sources } from its own annotations.
+
+const { openai } = require("./providers/openai");
+
+const MAX_QUOTE_LENGTH = 300;
+
+// Marker format the assistant uses inline, e.g. 【4:0†plumbing-code.pdf】
+const CITATION_MARKER = /【\d+:\d+†[^†【】]+(?:†[^【】]*)?】/g;
+
+// 🛠️ Helper: Fix broken citations before sending to frontend
+function repairCitations(text) {
+  return text
+    .replace(/\[Source:\s*(.*?)】】【(\d+):(\d+)]/g, '【$2:$3†$1†lines】')
+    .replace(/\[Source:\s*(.*?)】【(\d+):(\d+)]/g, '【$2:$3†$1†lines】')
+    .replace(/\[Source:\s*(.*?)】/g, '')
+    .replace(/】【(\d+):(\d+)]/g, '');
+}
+
+// file_id → { fileName, score, text } for the best-scoring chunk file_search returned per file
+async function searchResultsByFile(threadId, runId) {
+  const include = encodeURIComponent("step_details.tool_calls[*].file_search.results[*].content");
+  const steps = await openai(`/threads/${threadId}/runs/${runId}/steps?include[]=${include}`, {
+    beta: true,
+    step: "Run steps fetch",
+  });
+
+  const byFile = new Map();
+  for (const step of steps.data || []) {
+    for (const call of step.step_details?.tool_calls || []) {
+      for (const result of call.file_search?.results || []) {
+        const best = byFile.get(result.file_id);
+        if (best && best.score >= result.score) continue;
+        byFile.set(result.file_id, {
+          fileName: result.file_name,
+          score: result.score,
+          text: (result.content || []).map((part) => part.text || "").join(" "),
+        });
+      }
+    }
+  }
+  return byFile;
+}
+
+// Quotes are shortened to a sentence or two for the Sources list
+const trimQuote = (text) => {
+  const clean = (text || "").replace(/\s+/g, " ").trim();
+  return clean.length > MAX_QUOTE_LENGTH ? clean.slice(0, MAX_QUOTE_LENGTH).trim() + "…" : clean;
+};
+
+/**
+ * Resolve the citations in a completed assistant message.
+ * Returns { reply, sources } where reply has each citation replaced by [^n] and
+ * sources is [{ index, fileId, fileName, quote }] in footnote order.
+ */
+async function resolveCitations({ message, threadId, runId }) {
+  const text = message?.content?.find((part) => part.type === "text")?.text || {};
+  const value = text.value || "";
+  const annotations = (text.annotations || [])
+    .filter((a) => a.type === "file_citation" && a.text)
+    .sort((a, b) => (a.start_index || 0) - (b.start_index || 0));
+
+  const fileIds = [];
+  let reply = "";
+  let cursor = 0;
+
+  for (const annotation of annotations) {
+    // Match on the marker text rather than trusting the index offsets to line up with JS strings
+    const at = value.indexOf(annotation.text, cursor);
+    if (at === -1) continue;
+
+    const fileId = annotation.file_citation.file_id;
+    const n = fileIds.includes(fileId) ? fileIds.indexOf(fileId) + 1 : fileIds.push(fileId);
+    const ref = `[^${n}]`;
+
+    reply += value.slice(cursor, at);
+    if (!reply.endsWith(ref)) reply += ref;
+    cursor = at + annotation.text.length;
+  }
+  reply += value.slice(cursor);
+
+  // Anything still shaped like a marker wasn't backed by an annotation
+  reply = repairCitations(reply).replace(CITATION_MARKER, "").trim() || "(No reply)";
+
+  if (!fileIds.length) return { reply, sources: [] };
+
+  let results = new Map();
+  try {
+    results = await searchResultsByFile(threadId, runId);
+  } catch (e) {
+    console.error("Citation snippet lookup failed:", e);
+  }
+
+  const sources = await Promise.all(
+    fileIds.map(async (fileId, i) => {
+      const result = results.get(fileId);
+      const quoted = annotations.find((a) => a.file_citation.file_id === fileId && a.file_citation.quote);
+
+      let fileName = result?.fileName;
+      if (!fileName) {
+        try {
+          fileName = (await openai(`/files/${fileId}`, { step: "File lookup" })).filename;
+        } catch (e) {
+          console.error("Citation file lookup failed:", e);
+          fileName = "Document";
+        }
+      }
+
+      return {
+        index: i + 1,
+        fileId,
+        fileName,
+        quote: trimQuote(quoted ? quoted.file_citation.quote : result?.text),
+      };
+    })
+  );
+
+  return { reply, sources };
+}
+
+module.exports = { CITATION_MARKER, repairCitations, resolveCitations, trimQuote };
@@ -0,0 +1,86 @@
+// netlify/lib/feedback.js
+
+// The log of 👍/👎 ratings on Toby's answers. FEEDBACK_STORE picks the backend:
+//   "jsonl"  one JSON line per rating appended to FEEDBACK_FILE (default .netlify/feedback.jsonl), for
+//            local dev; deployed functions can't write to their own folder
+//   "store"  one entry per answer in the shared key-value store (Netlify Blobs in production)
+// By default it follows TOBY_STORE: "store" wherever Netlify Blobs is used, "jsonl" otherwise.
+// Both expose record(entry), list() → entries oldest first, and forgetThread(threadId) → how many
+// ratings were removed. Entries are keyed by message_id, so rating the same answer again replaces
+// the earlier rating.
+
+const fs = require("fs/promises");
+const path = require("path");
+const { getStore, storeBackend } = require("./stores");
+
+function createJsonlLog(file) {
+  return {
+    async record(entry) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify(entry) + "\n");
+    },
+
+    async list() {
+      let text;
+      try {
+        text = await fs.readFile(file, "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const latest = new Map();
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          latest.delete(entry.message_id); // re-insert so the order follows the latest rating
+          latest.set(entry.message_id, entry);
+        } catch (e) {
+          console.error("Skipping unreadable feedback line:", line.slice(0, 80));
+        }
+      }
+      return [...latest.values()];
+    },
+
+    // Rewrites the file from the latest ratings, leaving out the thread's
+    async forgetThread(threadId) {
+      const entries = await this.list();
+      const kept = entries.filter((entry) => entry.thread_id !== threadId);
+      if (kept.length === entries.length) return 0;
+      await fs.writeFile(file, kept.map((entry) => JSON.stringify(entry) + "\n").join(""));
+      return entries.length - kept.length;
+    },
+  };
+}
+
+function createStoreLog() {
+  const store = getStore("feedback");
+  return {
+    async record(entry) {
+      await store.set(entry.message_id, entry);
+    },
+
+    async list() {
+      const keys = await store.list();
+      const entries = await Promise.all(keys.map((key) => store.get(key)));
+      return entries.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async forgetThread(threadId) {
+      const matching = (await this.list()).filter((entry) => entry.thread_id === threadId);
+      await Promise.all(matching.map((entry) => store.delete(entry.message_id)));
+      return matching.length;
+    },
+  };
+}
+
+function getFeedbackLog() {
+  const backend = process.env.FEEDBACK_STORE || (storeBackend() === "blobs" ? "store" : "jsonl");
+  if (backend === "store") return createStoreLog();
+  if (backend === "jsonl") {
+    return createJsonlLog(path.resolve(process.env.FEEDBACK_FILE || ".netlify/feedback.jsonl"));
+  }
+  throw new Error(`Unknown FEEDBACK_STORE backend: ${backend}`);
+}
+
+module.exports = { getFeedbackLog };
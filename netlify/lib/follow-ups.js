@@ -0,0 +1,32 @@
+// netlify/lib/follow-ups.js
+
+// The 2–3 questions shown as chips under each answer, for the user to tap instead of typing their
+// next question. The provider writes them in a second, small call (suggestFollowUps) that sees
+// only the answer: the user's question may hold details redaction missed, and the answer is
+// already the provider's own text. FOLLOW_UPS=off skips the call.
+
+const MAX_FOLLOW_UPS = 3;
+const MAX_QUESTION_LENGTH = 120;
+
+// Footnote markers ([^1]) mean nothing without the Sources list
+const plainAnswer = (reply) => reply.replace(/\[\^\d+\]/g, "");
+
+/**
+ * Follow-up questions for a completed answer, or [] when they're turned off or can't be had.
+ * Never throws: the answer matters more than its suggestions.
+ */
+async function followUpsFor(provider, reply) {
+  if (process.env.FOLLOW_UPS === "off" || !reply) return [];
+  try {
+    const questions = await provider.suggestFollowUps(plainAnswer(reply));
+    return questions
+      .map((question) => String(question).trim())
+      .filter((question) => question && question.length <= MAX_QUESTION_LENGTH)
+      .slice(0, MAX_FOLLOW_UPS);
+  } catch (err) {
+    console.error("Follow-up questions skipped:", err.message);
+    return [];
+  }
+}
+
+module.exports = { followUpsFor };
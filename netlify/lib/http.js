@@ -0,0 +1,239 @@
+// netlify/lib/http.js
+
+// Shared wrapper for the Netlify functions: CORS, OPTIONS and method checks,
+// JSON body validation, one error envelope ({ error: { code, message, requestId }, ...errorFields })
+// and a usage event per request for the admin dashboard (see analytics.js).
+
+const crypto = require("crypto");
+const { trackEvent } = require("./analytics");
+const { connectStores } = require("./stores");
+
+// Used when ALLOWED_ORIGINS is not set. Entries are bare origins (no path or trailing slash);
+// "*" matches one run of letters, digits or dashes, e.g. for Netlify deploy previews.
+const DEFAULT_ORIGINS = [
+  "https://masterplumbers.org.nz",
+  "https://resilient-palmier-22bdf1.netlify.app",
+  "https://deploy-preview-*--resilient-palmier-22bdf1.netlify.app",
+  "https://caitskinz.github.io",
+  "http://localhost:8888", // Netlify dev
+];
+
+class HttpError extends Error {
+  constructor(statusCode, code, message, headers = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+const json = (statusCode, data, headers = {}) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json", ...headers },
+  body: JSON.stringify(data),
+});
+
+// ✅ Origins come from ALLOWED_ORIGINS (comma-separated) plus the URLs Netlify sets for this deploy
+function allowedOrigins() {
+  const configured = process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(",")
+    : DEFAULT_ORIGINS;
+  return [...configured, process.env.URL, process.env.DEPLOY_PRIME_URL]
+    .filter(Boolean)
+    .map((entry) => entry.trim().replace(/\/+$/, ""));
+}
+
+function isAllowedOrigin(origin) {
+  return allowedOrigins().some((entry) => {
+    const pattern = entry
+      .split("*")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("[a-z0-9-]*");
+    return new RegExp(`^${pattern}$`, "i").test(origin);
+  });
+}
+
+const corsHeaders = (origin, methods) => ({
+  "Access-Control-Allow-Origin": origin,
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": [...methods, "OPTIONS"].join(", "),
+  "Access-Control-Expose-Headers": "X-Request-Id, Retry-After, X-Cache",
+  Vary: "Origin",
+});
+
+// Check a parsed body against
+// { field: { type, required, default, enum, pattern, maxLength, min, max, itemPattern } }.
+// maxLength also limits arrays; itemPattern checks that every array item is a matching string.
+// Returns only the fields named in the schema.
+function validate(body, schema) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "invalid_request", "Request body must be a JSON object.");
+  }
+
+  const result = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = body[field];
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) throw new HttpError(400, "invalid_request", `Missing ${field}.`);
+      if ("default" in rule) result[field] = rule.default;
+      continue;
+    }
+
+    const type = Array.isArray(value) ? "array" : typeof value;
+    if (type !== rule.type) {
+      throw new HttpError(400, "invalid_request", `${field} must be of type ${rule.type}.`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw new HttpError(400, "invalid_request", `${field} must be one of: ${rule.enum.join(", ")}.`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      throw new HttpError(400, "invalid_request", `${field} is not in the expected format.`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      throw new HttpError(400, "invalid_request", `${field} is too long (max ${rule.maxLength}).`);
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      throw new HttpError(400, "invalid_request", `${field} is out of range.`);
+    }
+    if (rule.itemPattern && !value.every((item) => typeof item === "string" && rule.itemPattern.test(item))) {
+      throw new HttpError(400, "invalid_request", `${field} has an item in the wrong format.`);
+    }
+
+    result[field] = value;
+  }
+  return result;
+}
+
+// Returns the named env vars in order, or fails the request if any are missing
+function requireEnv(...names) {
+  const missing = names.filter((name) => !process.env[name]);
+  if (missing.length) {
+    throw new HttpError(500, "server_misconfigured", `Server misconfiguration: missing ${missing.join(", ")}`);
+  }
+  return names.map((name) => process.env[name]);
+}
+
+// Fails the request unless it carries "Authorization: Bearer <secret>".
+// Both sides are hashed first so the comparison takes the same time whatever the lengths.
+function requireBearer(event, secret, message = "A valid token is required.") {
+  const supplied = String((event.headers || {}).authorization || "").replace(/^Bearer\s+/i, "");
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  if (!supplied || !crypto.timingSafeEqual(digest(supplied), digest(secret))) {
+    throw new HttpError(401, "unauthorized", message, { "WWW-Authenticate": "Bearer" });
+  }
+}
+
+// Log an upstream (OpenAI) failure in full, but only tell the client which step failed
+async function upstreamError(step, res) {
+  console.error(`${step} failed (${res.status}):`, await res.text());
+  return new HttpError(502, "upstream_error", `${step} failed.`);
+}
+
+function errorResponse(err, name, requestId, errorFields = {}) {
+  if (!(err instanceof HttpError)) {
+    console.error(`${name} error [${requestId}]:`, err);
+    err = new HttpError(500, "internal_error", "Internal server error");
+  }
+  return json(
+    err.statusCode,
+    { error: { code: err.code, message: err.message, requestId }, ...errorFields },
+    err.headers
+  );
+}
+
+/**
+ * Wrap a function handler. The inner handler is called as
+ * handler(event, { body, requestId, metrics, errorFields }) where body is the validated JSON body
+ * (when a schema is given; for GET requests the query string is validated instead) and should
+ * return a normal Lambda-style response; CORS and X-Request-Id headers are added here. Fields the
+ * handler sets on metrics (e.g. { topic } or { ttsChars }) are added to the request's analytics
+ * event; fields it sets on errorFields (e.g. { safety }) go in the error envelope if it then fails.
+ * With binaryTypes (Content-Type prefixes, e.g. ["audio/"]), a matching request body is passed
+ * as raw (a Buffer) and the query string is validated against the schema in its place.
+ */
+function withHttp({ name, methods = ["POST"], schema, binaryTypes = [], handler }) {
+  return async (event, context) => {
+    const startedAt = Date.now();
+    const headers = event.headers || {};
+    const requestId = headers["x-nf-request-id"] || crypto.randomUUID();
+    const metrics = {};
+    const errorFields = {};
+    const origin = headers.origin;
+    const originAllowed = !origin || isAllowedOrigin(origin);
+
+    const respond = async (res) => {
+      if (event.httpMethod !== "OPTIONS") {
+        await trackEvent({
+          type: "request",
+          fn: name,
+          requestId,
+          status: res.statusCode,
+          latencyMs: Date.now() - startedAt,
+          ...metrics,
+        });
+      }
+      return {
+        ...res,
+        headers: {
+          "X-Request-Id": requestId,
+          ...(origin && originAllowed ? corsHeaders(origin, methods) : {}),
+          ...res.headers,
+        },
+      };
+    };
+
+    try {
+      connectStores(event);
+      if (!originAllowed) {
+        throw new HttpError(403, "origin_not_allowed", "This site is not allowed to call Toby.");
+      }
+      if (event.httpMethod === "OPTIONS") {
+        return respond({ statusCode: 204, body: "" });
+      }
+      if (!methods.includes(event.httpMethod)) {
+        throw new HttpError(405, "method_not_allowed", "Method Not Allowed", {
+          Allow: [...methods, "OPTIONS"].join(", "),
+        });
+      }
+
+      const contentType = String(headers["content-type"] || "").toLowerCase();
+      const binary = binaryTypes.some((type) => contentType.startsWith(type));
+      const raw = binary
+        ? Buffer.from(event.body || "", event.isBase64Encoded ? "base64" : "binary")
+        : undefined;
+
+      let body;
+      if (schema && (event.httpMethod === "GET" || binary)) {
+        body = validate(event.queryStringParameters || {}, schema);
+      } else if (schema) {
+        let parsed;
+        try {
+          const text = event.isBase64Encoded
+            ? Buffer.from(event.body || "", "base64").toString("utf8")
+            : event.body;
+          parsed = JSON.parse(text || "{}");
+        } catch (e) {
+          throw new HttpError(400, "invalid_json", "Invalid JSON in request body.");
+        }
+        body = validate(parsed, schema);
+      }
+
+      return respond(await handler(event, { body, raw, requestId, context, metrics, errorFields }));
+    } catch (err) {
+      metrics.error = err instanceof HttpError ? err.code : "internal_error";
+      return respond(errorResponse(err, name, requestId, errorFields));
+    }
+  };
+}
+
+module.exports = {
+  HttpError,
+  isAllowedOrigin,
+  json,
+  requireBearer,
+  requireEnv,
+  upstreamError,
+  validate,
+  withHttp,
+};
@@ -0,0 +1,43 @@
+// netlify/lib/images.js
+
+// Photo attachments: upload-image checks them and stores them with the provider (OpenAI Files), then
+// the chat functions attach the returned file ids to the user's message as vision input.
+
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024; // keeps the base64 JSON body under Netlify's 6 MB limit
+const MAX_IMAGES_PER_MESSAGE = 3;
+const FILE_ID_PATTERN = /^file-[A-Za-z0-9_-]+$/;
+
+// Accepted types, recognised by their leading bytes rather than the client's word for it
+const IMAGE_TYPES = {
+  "image/jpeg": { ext: "jpg", matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  "image/png": {
+    ext: "png",
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  "image/webp": {
+    ext: "webp",
+    matches: (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP",
+  },
+  "image/gif": { ext: "gif", matches: (b) => /^GIF8[79]a$/.test(b.toString("latin1", 0, 6)) },
+};
+
+const sniffImageType = (buffer) =>
+  Object.keys(IMAGE_TYPES).find((type) => IMAGE_TYPES[type].matches(buffer)) || null;
+
+// Assistants thread message content: plain text, or text followed by the attached images
+const messageContent = (text, imageFileIds = []) =>
+  imageFileIds.length
+    ? [
+        { type: "text", text },
+        ...imageFileIds.map((file_id) => ({ type: "image_file", image_file: { file_id } })),
+      ]
+    : text;
+
+module.exports = {
+  FILE_ID_PATTERN,
+  IMAGE_TYPES,
+  MAX_IMAGES_PER_MESSAGE,
+  MAX_IMAGE_BYTES,
+  messageContent,
+  sniffImageType,
+};
@@ -0,0 +1,244 @@
+// netlify/lib/providers/assistants.js
+
+// OpenAI Assistants v2 adapter: a conversation is a thread, and each answer is a run of the
+// assistant in OPENAI_ASSISTANT_ID. Citation markers are resolved by ../citations.
+//
+// A run's tools replace the assistant's for that run, so each run is given the assistant's own tools
+// (as set up in the OpenAI dashboard) merged with our functions rather than ours alone; see runTools.
+
+const { CITATION_MARKER, repairCitations, resolveCitations } = require("../citations");
+const { requireEnv } = require("../http");
+const { messageContent } = require("../images");
+const { toolDefinitions } = require("../tools");
+const { TTS_MODEL, openai, readEvents, speak, suggestFollowUps, transcribe, uploadImage } = require("./openai");
+
+const TERMINAL_EVENTS = [
+  "thread.run.completed",
+  "thread.run.failed",
+  "thread.run.cancelled",
+  "thread.run.expired",
+  "thread.run.incomplete",
+];
+
+// The provider-neutral run (see index.js)
+const toRun = (run) => ({
+  id: run.id,
+  status: run.status,
+  toolCalls:
+    run.status === "requires_action" ? run.required_action?.submit_tool_outputs?.tool_calls || [] : [],
+  last_error: run.last_error || null,
+  incomplete_details: run.incomplete_details || null,
+  model: run.model || null,
+  usage: run.usage || null,
+  created_at: run.created_at || null,
+  completed_at:
+    run.completed_at || run.failed_at || run.cancelled_at || run.expired_at || run.incomplete_at || null,
+});
+
+// The assistant's own tools, fetched once per function instance; a failed fetch is tried again next run
+const assistantTools = new Map();
+
+function fetchAssistantTools(assistantId) {
+  if (!assistantTools.has(assistantId)) {
+    const tools = openai(`/assistants/${assistantId}`, { beta: true, step: "Assistant fetch" }).then(
+      (assistant) => assistant.tools || []
+    );
+    tools.catch(() => assistantTools.delete(assistantId));
+    assistantTools.set(assistantId, tools);
+  }
+  return assistantTools.get(assistantId);
+}
+
+// Our functions win over any of the same name on the assistant, since we are the ones answering them.
+// Built-in tools (file_search, code_interpreter) keep the assistant's settings, e.g. its vector stores.
+async function runTools(assistantId) {
+  const ours = toolDefinitions();
+  const ourNames = new Set(ours.filter((tool) => tool.type === "function").map((tool) => tool.function.name));
+  const theirs = (await fetchAssistantTools(assistantId)).filter(
+    (tool) => tool.type !== "function" || !ourNames.has(tool.function.name)
+  );
+  const theirTypes = new Set(theirs.map((tool) => tool.type));
+  return [...theirs, ...ours.filter((tool) => tool.type === "function" || !theirTypes.has(tool.type))];
+}
+
+// Translate one OpenAI run stream into provider events.
+// Submitting tool outputs starts a new stream for the same run, so runId may already be known.
+async function* relayRun(body, threadId, runId = null) {
+  let text = "";
+  let completedMessage = null;
+
+  for await (const { event, data } of readEvents(body)) {
+    switch (event) {
+      case "thread.run.created":
+        runId = data.id;
+        yield { type: "run", runId };
+        break;
+
+      case "thread.message.delta":
+        for (const part of data.delta?.content || []) {
+          const delta = part.type === "text" ? part.text?.value : "";
+          if (delta) {
+            text += delta;
+            yield { type: "delta", text: delta };
+          }
+        }
+        break;
+
+      case "thread.message.completed":
+        completedMessage = data;
+        break;
+
+      case "thread.run.requires_action":
+        yield { type: "requires_action", runId, toolCalls: toRun(data).toolCalls };
+        break;
+
+      case "error":
+        throw new Error(data.message || "OpenAI stream error");
+
+      default:
+        if (!TERMINAL_EVENTS.includes(event)) break;
+        // The finished message carries the citation annotations the deltas only hinted at
+        yield {
+          type: "finished",
+          run: toRun(data),
+          answer: completedMessage
+            ? await resolveCitations({ message: completedMessage, threadId, runId })
+            : {
+                reply: repairCitations(text).replace(CITATION_MARKER, "").trim() || "(No reply)",
+                sources: [],
+              },
+        };
+    }
+  }
+}
+
+function createAssistantsProvider() {
+  return {
+    name: "assistants",
+    ttsModel: TTS_MODEL,
+
+    async createConversation() {
+      const thread = await openai("/threads", {
+        method: "POST",
+        body: {},
+        beta: true,
+        step: "Thread creation",
+      });
+      return thread.id;
+    },
+
+    async deleteConversation(threadId) {
+      const deleted = await openai(`/threads/${threadId}`, {
+        method: "DELETE",
+        beta: true,
+        optional: true,
+        step: "Thread deletion",
+      });
+      return Boolean(deleted);
+    },
+
+    async addMessage(threadId, { text, imageFileIds = [] }) {
+      await openai(`/threads/${threadId}/messages`, {
+        method: "POST",
+        body: { role: "user", content: messageContent(text, imageFileIds) },
+        beta: true,
+        step: "Message post",
+      });
+    },
+
+    async startRun(threadId, { instructions } = {}) {
+      const [assistantId] = requireEnv("OPENAI_ASSISTANT_ID");
+      const run = await openai(`/threads/${threadId}/runs`, {
+        method: "POST",
+        body: {
+          assistant_id: assistantId,
+          tools: await runTools(assistantId),
+          additional_instructions: instructions,
+        },
+        beta: true,
+        step: "Run creation",
+      });
+      return run.id;
+    },
+
+    async getRun(threadId, runId) {
+      const run = await openai(`/threads/${threadId}/runs/${runId}`, { beta: true, step: "Run status fetch" });
+      return toRun(run);
+    },
+
+    async submitToolOutputs(threadId, runId, toolOutputs) {
+      await openai(`/threads/${threadId}/runs/${runId}/submit_tool_outputs`, {
+        method: "POST",
+        body: { tool_outputs: toolOutputs },
+        beta: true,
+        step: "Tool output submission",
+      });
+    },
+
+    async cancelRun(threadId, runId) {
+      try {
+        const run = await openai(`/threads/${threadId}/runs/${runId}/cancel`, {
+          method: "POST",
+          beta: true,
+          step: "Run cancel",
+        });
+        return toRun(run);
+      } catch (err) {
+        // OpenAI refuses to cancel runs that already finished; report where the run ended up instead
+        try {
+          return await this.getRun(threadId, runId);
+        } catch (e) {
+          throw err;
+        }
+      }
+    },
+
+    async getAnswer(threadId, runId) {
+      const messages = await openai(`/threads/${threadId}/messages?run_id=${runId}`, {
+        beta: true,
+        step: "Message fetch",
+      });
+      const lastMessage = messages.data
+        .filter((m) => m.role === "assistant")
+        .sort((a, b) => (b.created_at || 0) - (a.created_at || 0))[0];
+
+      // ✅ Swap citation markers for numbered footnotes and look up their sources
+      return resolveCitations({ message: lastMessage, threadId, runId });
+    },
+
+    async streamRun(threadId, { instructions } = {}) {
+      const [assistantId] = requireEnv("OPENAI_ASSISTANT_ID");
+      const res = await openai(`/threads/${threadId}/runs`, {
+        method: "POST",
+        body: {
+          assistant_id: assistantId,
+          tools: await runTools(assistantId),
+          additional_instructions: instructions,
+          stream: true,
+        },
+        beta: true,
+        raw: true,
+        step: "Run creation",
+      });
+      return relayRun(res.body, threadId);
+    },
+
+    async streamToolOutputs(threadId, runId, toolOutputs) {
+      const res = await openai(`/threads/${threadId}/runs/${runId}/submit_tool_outputs`, {
+        method: "POST",
+        body: { tool_outputs: toolOutputs, stream: true },
+        beta: true,
+        raw: true,
+        step: "Tool output submission",
+      });
+      return relayRun(res.body, threadId, runId);
+    },
+
+    transcribe,
+    speak,
+    uploadImage,
+    suggestFollowUps,
+  };
+}
+
+module.exports = { createAssistantsProvider };
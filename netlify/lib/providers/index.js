@@ -0,0 +1,56 @@
+// netlify/lib/providers/index.js
+
+// Pluggable chat and voice backend shared by the functions. TOBY_PROVIDER picks the adapter:
+//   "assistants"  OpenAI Assistants v2: threads, runs and the assistant in OPENAI_ASSISTANT_ID (default)
+//   "responses"   OpenAI Responses API: conversations plus the model, prompt and vector stores
+//                 configured in OPENAI_MODEL, OPENAI_PROMPT_ID, OPENAI_VECTOR_STORE_IDS
+//   "mock"        deterministic local answers, speech and transcripts; no network or API keys
+//
+// Every adapter exposes
+//   name, ttsModel
+//   createConversation() → conversationId
+//   deleteConversation(conversationId) → false if it was already gone
+//   addMessage(conversationId, { text, imageFileIds })
+//   startRun(conversationId, { instructions }) → runId        (answers in the background)
+//   getRun(conversationId, runId) → run
+//   submitToolOutputs(conversationId, runId, toolOutputs)      (the run then carries on)
+//   cancelRun(conversationId, runId) → run
+//   getAnswer(conversationId, runId) → { reply, sources }      (once the run has completed)
+//   streamRun(conversationId, { instructions }) → events
+//   streamToolOutputs(conversationId, runId, toolOutputs) → events
+//   transcribe({ audio, mimeType, fileName, prompt, language }) → { text, language, duration, segments }
+//   speak({ text, voice, format }) → audio bytes (an async iterable)
+//   uploadImage({ image, mimeType, fileName }) → fileId
+//   suggestFollowUps(answer) → questions the user might ask next (a separate, small call)
+//
+// A run is { id, status, toolCalls, last_error, incomplete_details, model, usage, created_at,
+// completed_at } with Assistants statuses and usage ({ prompt_tokens, completion_tokens }), so
+// analytics.runMetrics and the client read every provider the same way. toolCalls is set while
+// status is "requires_action". Streams are async iterables of
+//   { type: "run", runId }  { type: "delta", text }  { type: "requires_action", runId, toolCalls }
+//   { type: "finished", run, answer }   (answer is { reply, sources }, or null if none was found)
+// A run id stays valid for the whole answer, even where the API starts a new response for
+// tool outputs. instructions are added to the configured ones for that one answer (e.g. trade-level
+// detail for signed-in members, see auth.js). Failed API calls throw an HttpError (502 upstream_error).
+
+const adapters = {
+  assistants: () => require("./assistants").createAssistantsProvider(),
+  responses: () => require("./responses").createResponsesProvider(),
+  mock: () => require("./mock").createMockProvider(),
+};
+
+// Ids the functions accept from the browser, whichever provider issued them
+const CONVERSATION_ID_PATTERN = /^(thread|conv)_[A-Za-z0-9]+$/;
+const RUN_ID_PATTERN = /^(run|resp)_[A-Za-z0-9]+$/;
+
+// The adapter getProvider uses by default: "assistants", "responses" or "mock"
+const providerName = () => process.env.TOBY_PROVIDER || "assistants";
+
+// name picks an adapter other than the configured one, e.g. the one that created a conversation
+function getProvider(name = providerName()) {
+  const create = adapters[name];
+  if (!create) throw new Error(`Unknown TOBY_PROVIDER: ${name}`);
+  return create();
+}
+
+module.exports = { CONVERSATION_ID_PATTERN, RUN_ID_PATTERN, getProvider, providerName };
@@ -0,0 +1,246 @@
+// netlify/lib/providers/mock.js
+
+// Local stand-in for OpenAI, for development and tests: no network, no API keys. Answers,
+// transcripts and audio depend only on their input, so the same question always gets the same
+// reply. Conversations and runs live in the shared store (memory in netlify dev).
+//
+// Asking for a plumber, gasfitter, drainlayer or roofer ("find a plumber in Nelson") makes the run
+// call find_master_plumber first, so tool calls and contact cards can be tried offline too.
+// Every answer cites mock-handbook.pdf so footnotes and the Sources list show up as well.
+
+const crypto = require("crypto");
+const { HttpError } = require("../http");
+const { getStore } = require("../stores");
+
+const MODEL = "mock";
+const STATE_TTL_SECONDS = 24 * 3600;
+const PENDING_STATUSES = ["queued", "in_progress"];
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled", "expired", "incomplete"];
+
+const FOLLOW_UPS = [
+  "Do I need a licensed plumber for this?",
+  "What does the Building Code say about it?",
+  "Can you find a Master Plumbers member near me?",
+];
+
+const WANTS_TRADIE =
+  /\b(find|recommend|need|looking for|hire)\b.*\b(plumber|gasfitter|drainlayer|roofer)s?\b/i;
+const PLACE = /\b(?:in|near|around)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/;
+
+const SOURCE = {
+  index: 1,
+  fileId: "file-mockhandbook",
+  fileName: "mock-handbook.pdf",
+  quote: "Mock answers are written locally for development and testing. They are not plumbing advice.",
+};
+
+const newId = (prefix) => `${prefix}_mock${crypto.randomUUID().replace(/-/g, "").slice(0, 20)}`;
+const now = () => Math.floor(Date.now() / 1000);
+const tokens = (text) => Math.ceil(text.length / 4);
+const store = () => getStore("mock-provider");
+
+async function load(kind, id) {
+  const value = await store().get(`${kind}/${id}`);
+  // e.g. after netlify dev restarts and forgets the memory store
+  if (!value) throw new HttpError(502, "upstream_error", `Mock ${kind.slice(0, -1)} ${id} not found.`);
+  return value;
+}
+
+const save = (kind, id, value) => store().set(`${kind}/${id}`, value, { ttlSeconds: STATE_TTL_SECONDS });
+
+function composeReply({ text, imageCount }, toolOutputs, instructions) {
+  const lines = [`**Mock answer** to: “${text}”`, ""];
+  if (instructions) lines.push("(Trade-level answer: the caller's role added instructions.)", "");
+  if (imageCount) lines.push(`I can see ${imageCount} photo${imageCount === 1 ? "" : "s"}.`, "");
+
+  for (const { output } of toolOutputs || []) {
+    const result = JSON.parse(output);
+    lines.push(
+      result.error
+        ? `The directory lookup failed: ${result.error}`
+        : `I found ${result.count} Master Plumbers member${result.count === 1 ? "" : "s"} for you.`,
+      ""
+    );
+  }
+
+  lines.push(
+    "- This reply comes from the local mock provider (`TOBY_PROVIDER=mock`).",
+    "- No OpenAI call was made.[^1]"
+  );
+  return lines.join("\n");
+}
+
+// Settle a queued run: ask for the directory lookup once if the question wants a tradesperson,
+// otherwise answer and add the reply to the conversation
+async function settle(run) {
+  if (!PENDING_STATUSES.includes(run.status)) return run;
+
+  const conversation = await load("conversations", run.conversationId);
+  const question = [...conversation.messages].reverse().find((m) => m.role === "user") || { text: "" };
+
+  if (WANTS_TRADIE.test(question.text) && !run.toolOutputs) {
+    const place = question.text.match(PLACE);
+    run.status = "requires_action";
+    run.toolCalls = [
+      {
+        id: `call_${run.id}`,
+        type: "function",
+        function: {
+          name: "find_master_plumber",
+          arguments: JSON.stringify(place ? { region: place[1] } : {}),
+        },
+      },
+    ];
+  } else {
+    const reply = composeReply(question, run.toolOutputs, run.instructions);
+    run.status = "completed";
+    run.toolCalls = [];
+    run.reply = reply;
+    run.usage = { prompt_tokens: tokens(question.text) + 200, completion_tokens: tokens(reply) };
+    run.completed_at = now();
+    conversation.messages.push({ role: "assistant", text: reply, runId: run.id });
+    await save("conversations", run.conversationId, conversation);
+  }
+
+  await save("runs", run.id, run);
+  return run;
+}
+
+// The provider-neutral run (see index.js)
+const toRun = (run) => ({
+  id: run.id,
+  status: run.status,
+  toolCalls: run.status === "requires_action" ? run.toolCalls : [],
+  last_error: null,
+  incomplete_details: null,
+  model: MODEL,
+  usage: run.usage || null,
+  created_at: run.created_at,
+  completed_at: run.completed_at || null,
+});
+
+const answerOf = (run) => ({ reply: run.reply || "(No reply)", sources: run.reply ? [SOURCE] : [] });
+
+// The events a streamed run would send: the answer arrives a word at a time
+async function* relay(run, announce) {
+  if (announce) yield { type: "run", runId: run.id };
+  if (run.status === "requires_action") {
+    yield { type: "requires_action", runId: run.id, toolCalls: run.toolCalls };
+    return;
+  }
+  for (const word of (run.reply || "").match(/\S+\s*/g) || []) yield { type: "delta", text: word };
+  yield { type: "finished", run: toRun(run), answer: answerOf(run) };
+}
+
+// Silent audio, about as long as reading the text aloud would take
+function silence(text, format) {
+  const seconds = Math.min(Math.max(text.length * 0.06, 0.5), 30);
+
+  if (format === "wav") {
+    const rate = 8000;
+    const data = Math.round(seconds * rate) * 2;
+    const header = Buffer.alloc(44);
+    header.write("RIFF", 0, "latin1");
+    header.writeUInt32LE(36 + data, 4);
+    header.write("WAVEfmt ", 8, "latin1");
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(rate, 24);
+    header.writeUInt32LE(rate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write("data", 36, "latin1");
+    header.writeUInt32LE(data, 40);
+    return Buffer.concat([header, Buffer.alloc(data)]);
+  }
+
+  // MPEG-1 Layer III, 128 kbps, 44.1 kHz, mono: a zeroed frame body decodes to 26 ms of silence
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0xc4]);
+  return Buffer.concat(Array(Math.ceil(seconds / 0.026)).fill(frame));
+}
+
+function createMockProvider() {
+  return {
+    name: "mock",
+    ttsModel: MODEL,
+
+    async createConversation() {
+      const id = newId("thread");
+      await save("conversations", id, { messages: [] });
+      return id;
+    },
+
+    async deleteConversation(conversationId) {
+      const found = Boolean(await store().get(`conversations/${conversationId}`));
+      await store().delete(`conversations/${conversationId}`);
+      return found;
+    },
+
+    async addMessage(conversationId, { text, imageFileIds = [] }) {
+      const conversation = await load("conversations", conversationId);
+      conversation.messages.push({ role: "user", text, imageCount: imageFileIds.length });
+      await save("conversations", conversationId, conversation);
+    },
+
+    async startRun(conversationId, { instructions } = {}) {
+      const run = { id: newId("run"), conversationId, instructions, status: "queued", created_at: now() };
+      await save("runs", run.id, run);
+      return run.id;
+    },
+
+    async getRun(conversationId, runId) {
+      return toRun(await settle(await load("runs", runId)));
+    },
+
+    async submitToolOutputs(conversationId, runId, toolOutputs) {
+      const run = await load("runs", runId);
+      const outputs = [...(run.toolOutputs || []), ...toolOutputs];
+      await save("runs", runId, { ...run, status: "queued", toolOutputs: outputs });
+    },
+
+    async cancelRun(conversationId, runId) {
+      const run = await load("runs", runId);
+      if (!TERMINAL_STATUSES.includes(run.status)) {
+        Object.assign(run, { status: "cancelled", completed_at: now() });
+        await save("runs", runId, run);
+      }
+      return toRun(run);
+    },
+
+    async getAnswer(conversationId, runId) {
+      return answerOf(await load("runs", runId));
+    },
+
+    async streamRun(conversationId, options) {
+      const runId = await this.startRun(conversationId, options);
+      return relay(await settle(await load("runs", runId)), true);
+    },
+
+    async streamToolOutputs(conversationId, runId, toolOutputs) {
+      await this.submitToolOutputs(conversationId, runId, toolOutputs);
+      return relay(await settle(await load("runs", runId)), false);
+    },
+
+    async transcribe({ audio }) {
+      const duration = Math.max(Math.round((audio.length / 4000) * 100) / 100, 0.5);
+      const text = `Mock transcript of ${duration.toFixed(1)} seconds of audio.`;
+      return { text, language: "english", duration, segments: [{ start: 0, end: duration, text }] };
+    },
+
+    async speak({ text, format }) {
+      return [silence(text, format)];
+    },
+
+    async uploadImage({ image }) {
+      return `file-mock${crypto.createHash("sha256").update(image).digest("hex").slice(0, 24)}`;
+    },
+
+    async suggestFollowUps() {
+      return FOLLOW_UPS;
+    },
+  };
+}
+
+module.exports = { createMockProvider };
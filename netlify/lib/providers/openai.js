@@ -0,0 +1,130 @@
+// netlify/lib/providers/openai.js
+
+// What the Assistants and Responses adapters share: authenticated calls to the OpenAI API, the
+// SSE parser for streamed runs, and the endpoints that don't depend on the chat API in use
+// (speech, transcription, file uploads, follow-up questions). Uses Node 18+ built-in fetch & FormData.
+
+const { requireEnv, upstreamError } = require("../http");
+
+const API = "https://api.openai.com/v1";
+const TTS_MODEL = "gpt-4o-mini-tts";
+const FOLLOW_UP_MODEL = "gpt-4o-mini";
+
+const FOLLOW_UP_INSTRUCTIONS =
+  "You suggest follow-up questions for Toby, the Master Plumbers New Zealand assistant. Given " +
+  "Toby's latest answer, write 2 or 3 short questions (under 80 characters each) the user is " +
+  "likely to ask next, worded as the user would ask them, in NZ English. Keep to plumbing, " +
+  "gasfitting, drainlaying, roofing and finding a Master Plumbers member.";
+
+/**
+ * Call the OpenAI API and return the parsed JSON, or the raw response with { raw: true }
+ * (streams, audio). step names the call in the error when OpenAI refuses it.
+ * body is sent as JSON; form (a FormData) as multipart. beta adds the Assistants v2 header.
+ * With optional, a 404 resolves with null instead of failing (e.g. deleting what's already gone).
+ */
+async function openai(path, { method = "GET", body, form, beta = false, raw = false, optional = false, step }) {
+  const [apiKey] = requireEnv("OPENAI_API_KEY");
+  const headers = { Authorization: `Bearer ${apiKey}` };
+  if (beta) headers["OpenAI-Beta"] = "assistants=v2";
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
+  const res = await fetch(`${API}${path}`, {
+    method,
+    headers,
+    body: form || (body !== undefined ? JSON.stringify(body) : undefined),
+  });
+  if (optional && res.status === 404) return null;
+  if (!res.ok) throw await upstreamError(step || `${method} ${path.split("?")[0]}`, res);
+  return raw ? res : res.json();
+}
+
+// Parse an OpenAI SSE stream into { event, data } pairs, data already parsed. Stops at [DONE].
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const data = [];
+      for (const line of frame.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+      }
+      if (!data.length) continue;
+      if (data.join("\n") === "[DONE]") return;
+      yield { event, data: JSON.parse(data.join("\n")) };
+    }
+  }
+}
+
+// Whisper's verbose_json: { text, language (a name, e.g. "english"), duration, segments }
+function transcribe({ audio, mimeType, fileName, prompt, language }) {
+  const form = new FormData();
+  form.append("file", new Blob([audio], { type: mimeType }), fileName);
+  form.append("model", "whisper-1"); // verbose_json (timings, language) needs whisper-1
+  form.append("response_format", "verbose_json");
+  if (prompt) form.append("prompt", prompt);
+  if (language) form.append("language", language);
+
+  return openai("/audio/transcriptions", { method: "POST", form, step: "OpenAI STT" });
+}
+
+// Resolves with the audio as a stream of bytes, so playback can start before it's all generated
+async function speak({ text, voice, format }) {
+  const res = await openai("/audio/speech", {
+    method: "POST",
+    body: { model: TTS_MODEL, voice, input: text, response_format: format },
+    raw: true,
+    step: "OpenAI TTS",
+  });
+  return res.body;
+}
+
+// Stores a photo with OpenAI Files (purpose "vision") and returns its file id
+async function uploadImage({ image, mimeType, fileName }) {
+  const form = new FormData();
+  form.append("file", new Blob([image], { type: mimeType }), fileName);
+  form.append("purpose", "vision");
+
+  const data = await openai("/files", { method: "POST", form, step: "OpenAI file upload" });
+  return data.id;
+}
+
+// A separate small completion, with structured output so the questions come back as a JSON list
+async function suggestFollowUps(answer) {
+  const data = await openai("/chat/completions", {
+    method: "POST",
+    body: {
+      model: process.env.OPENAI_FOLLOW_UP_MODEL || FOLLOW_UP_MODEL,
+      messages: [
+        { role: "system", content: FOLLOW_UP_INSTRUCTIONS },
+        { role: "user", content: answer },
+      ],
+      response_format: {
+        type: "json_schema",
+        json_schema: {
+          name: "follow_up_questions",
+          strict: true,
+          schema: {
+            type: "object",
+            properties: { questions: { type: "array", items: { type: "string" } } },
+            required: ["questions"],
+            additionalProperties: false,
+          },
+        },
+      },
+      max_tokens: 200,
+    },
+    step: "OpenAI follow-up questions",
+  });
+  return JSON.parse(data.choices[0].message.content).questions;
+}
+
+module.exports = { TTS_MODEL, openai, readEvents, speak, suggestFollowUps, transcribe, uploadImage };
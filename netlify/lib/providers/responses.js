@@ -0,0 +1,318 @@
+// netlify/lib/providers/responses.js
+
+// OpenAI Responses API adapter: a conversation is an OpenAI conversation, and each answer is a
+// background response with OPENAI_MODEL, the reusable prompt in OPENAI_PROMPT_ID (instructions)
+// and file search over OPENAI_VECTOR_STORE_IDS (comma-separated).
+//
+// Tool outputs go back as the input of a new response, so one answer can span several responses.
+// The run id the browser holds is the first response's id; the store maps it to the latest, and
+// keeps the answer's extra instructions, which a new response doesn't inherit.
+
+const { trimQuote } = require("../citations");
+const { toolDefinitions } = require("../tools");
+const { getStore } = require("../stores");
+const { TTS_MODEL, openai, readEvents, speak, suggestFollowUps, transcribe, uploadImage } = require("./openai");
+
+const DEFAULT_MODEL = "gpt-4o";
+const RUNS_TTL_SECONDS = 3600;
+const TERMINAL_EVENTS = [
+  "response.completed",
+  "response.failed",
+  "response.incomplete",
+  "response.cancelled",
+];
+
+// The request settings every response of an answer shares
+function responseSettings() {
+  const vectorStoreIds = (process.env.OPENAI_VECTOR_STORE_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  return {
+    model: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    ...(process.env.OPENAI_PROMPT_ID ? { prompt: { id: process.env.OPENAI_PROMPT_ID } } : {}),
+    // Same tools as the assistant, in the Responses shape. File search needs a vector store.
+    tools: toolDefinitions().flatMap((tool) => {
+      if (tool.type === "function") return [{ type: "function", ...tool.function }];
+      return vectorStoreIds.length ? [{ type: tool.type, vector_store_ids: vectorStoreIds }] : [];
+    }),
+    include: ["file_search_call.results"],
+    store: true,
+    background: true,
+  };
+}
+
+// { responseId, created_at, usage, instructions } for an answer, where usage counts the responses
+// before the latest
+async function runRecord(runId) {
+  return (
+    (await getStore("response-runs").get(runId)) || {
+      responseId: runId,
+      created_at: null,
+      usage: null,
+      instructions: undefined,
+    }
+  );
+}
+
+const saveRunRecord = (runId, record) =>
+  getStore("response-runs").set(runId, record, { ttlSeconds: RUNS_TTL_SECONDS });
+
+const addUsage = (a, b) =>
+  a || b
+    ? {
+        prompt_tokens: (a?.prompt_tokens || 0) + (b?.prompt_tokens || 0),
+        completion_tokens: (a?.completion_tokens || 0) + (b?.completion_tokens || 0),
+      }
+    : null;
+
+const usageOf = (response) =>
+  response.usage
+    ? {
+        prompt_tokens: response.usage.input_tokens || 0,
+        completion_tokens: response.usage.output_tokens || 0,
+      }
+    : null;
+
+// The provider-neutral run (see index.js). A completed response that called functions is waiting
+// on their outputs, which is what Assistants calls requires_action.
+function toRun(response, runId, record) {
+  const toolCalls =
+    response.status === "completed"
+      ? (response.output || [])
+          .filter((item) => item.type === "function_call")
+          .map((item) => ({
+            id: item.call_id,
+            type: "function",
+            function: { name: item.name, arguments: item.arguments },
+          }))
+      : [];
+  const finished = !["queued", "in_progress"].includes(response.status) && !toolCalls.length;
+
+  return {
+    id: runId,
+    status: toolCalls.length ? "requires_action" : response.status,
+    toolCalls,
+    last_error: response.error || null,
+    incomplete_details: response.incomplete_details || null,
+    model: response.model || null,
+    usage: addUsage(record.usage, usageOf(response)),
+    created_at: record.created_at || response.created_at || null,
+    completed_at: finished ? response.completed_at || Math.floor(Date.now() / 1000) : null,
+  };
+}
+
+// { reply, sources } from the final message's file_citation annotations, which point at a
+// character index rather than a marker in the text
+function answerFrom(response) {
+  const output = response.output || [];
+  const message = [...output].reverse().find((item) => item.type === "message");
+  const part = message?.content?.find((p) => p.type === "output_text") || {};
+  const value = part.text || "";
+  const citations = (part.annotations || [])
+    .filter((a) => a.type === "file_citation")
+    .sort((a, b) => (a.index || 0) - (b.index || 0));
+
+  // Best-scoring search result per file, for the quote
+  const results = new Map();
+  for (const item of output.filter((i) => i.type === "file_search_call")) {
+    for (const result of item.results || []) {
+      const best = results.get(result.file_id);
+      if (!best || result.score > best.score) results.set(result.file_id, result);
+    }
+  }
+
+  const fileIds = [];
+  let reply = "";
+  let cursor = 0;
+  for (const citation of citations) {
+    const fileId = citation.file_id;
+    const n = fileIds.includes(fileId) ? fileIds.indexOf(fileId) + 1 : fileIds.push(fileId);
+    const at = Math.min(Math.max(citation.index || 0, cursor), value.length);
+    const ref = `[^${n}]`;
+    reply += value.slice(cursor, at);
+    if (!reply.endsWith(ref)) reply += ref;
+    cursor = at;
+  }
+  reply += value.slice(cursor);
+
+  const sources = fileIds.map((fileId, i) => ({
+    index: i + 1,
+    fileId,
+    fileName:
+      results.get(fileId)?.filename || citations.find((c) => c.file_id === fileId).filename || "Document",
+    quote: trimQuote(results.get(fileId)?.text),
+  }));
+
+  return { reply: reply.trim() || "(No reply)", sources };
+}
+
+// Start the next response of an answer with the tool outputs as its input
+async function continueRun(conversationId, runId, toolOutputs, { stream = false } = {}) {
+  const record = await runRecord(runId);
+  const previous = await openai(`/responses/${record.responseId}`, { step: "Run status fetch" });
+
+  const res = await openai("/responses", {
+    method: "POST",
+    body: {
+      ...responseSettings(),
+      conversation: conversationId,
+      instructions: record.instructions,
+      input: toolOutputs.map(({ tool_call_id, output }) => ({
+        type: "function_call_output",
+        call_id: tool_call_id,
+        output,
+      })),
+      stream,
+    },
+    raw: stream,
+    step: "Tool output submission",
+  });
+
+  const next = {
+    responseId: null,
+    created_at: record.created_at || previous.created_at,
+    usage: addUsage(record.usage, usageOf(previous)),
+    instructions: record.instructions,
+  };
+  const save = (responseId) => saveRunRecord(runId, { ...next, responseId });
+
+  if (!stream) {
+    await save(res.id);
+    return null;
+  }
+  return relayResponses(res.body, runId, save, next);
+}
+
+// Translate one Responses stream into provider events. onCreated(responseId) runs before anything
+// else is relayed, so the run id resolves to the new response straight away.
+async function* relayResponses(body, runId, onCreated, record) {
+  for await (const { event, data } of readEvents(body)) {
+    if (event === "response.created") {
+      if (onCreated) await onCreated(data.response.id);
+      if (!runId) {
+        runId = data.response.id;
+        yield { type: "run", runId };
+      }
+    } else if (event === "response.output_text.delta") {
+      if (data.delta) yield { type: "delta", text: data.delta };
+    } else if (TERMINAL_EVENTS.includes(event)) {
+      const run = toRun(data.response, runId, record);
+      yield run.status === "requires_action"
+        ? { type: "requires_action", runId, toolCalls: run.toolCalls }
+        : { type: "finished", run, answer: answerFrom(data.response) };
+    } else if (event === "error") {
+      throw new Error(data.message || "OpenAI stream error");
+    }
+  }
+}
+
+function createResponsesProvider() {
+  return {
+    name: "responses",
+    ttsModel: TTS_MODEL,
+
+    async createConversation() {
+      const conversation = await openai("/conversations", {
+        method: "POST",
+        body: {},
+        step: "Conversation creation",
+      });
+      return conversation.id;
+    },
+
+    async deleteConversation(conversationId) {
+      const deleted = await openai(`/conversations/${conversationId}`, {
+        method: "DELETE",
+        optional: true,
+        step: "Conversation deletion",
+      });
+      return Boolean(deleted);
+    },
+
+    async addMessage(conversationId, { text, imageFileIds = [] }) {
+      const content = [
+        { type: "input_text", text },
+        ...imageFileIds.map((file_id) => ({ type: "input_image", file_id })),
+      ];
+      await openai(`/conversations/${conversationId}/items`, {
+        method: "POST",
+        body: { items: [{ type: "message", role: "user", content }] },
+        step: "Message post",
+      });
+    },
+
+    async startRun(conversationId, { instructions } = {}) {
+      const response = await openai("/responses", {
+        method: "POST",
+        body: { ...responseSettings(), conversation: conversationId, instructions },
+        step: "Run creation",
+      });
+      if (instructions) {
+        const record = { responseId: response.id, created_at: null, usage: null, instructions };
+        await saveRunRecord(response.id, record);
+      }
+      return response.id;
+    },
+
+    async getRun(conversationId, runId) {
+      const record = await runRecord(runId);
+      const response = await openai(`/responses/${record.responseId}`, { step: "Run status fetch" });
+      return toRun(response, runId, record);
+    },
+
+    async submitToolOutputs(conversationId, runId, toolOutputs) {
+      await continueRun(conversationId, runId, toolOutputs);
+    },
+
+    async cancelRun(conversationId, runId) {
+      const record = await runRecord(runId);
+      try {
+        const response = await openai(`/responses/${record.responseId}/cancel`, {
+          method: "POST",
+          step: "Run cancel",
+        });
+        return toRun(response, runId, record);
+      } catch (err) {
+        // Finished responses can't be cancelled; report where the answer ended up instead
+        try {
+          return await this.getRun(conversationId, runId);
+        } catch (e) {
+          throw err;
+        }
+      }
+    },
+
+    async getAnswer(conversationId, runId) {
+      const { responseId } = await runRecord(runId);
+      const include = encodeURIComponent("file_search_call.results");
+      const response = await openai(`/responses/${responseId}?include[]=${include}`, { step: "Message fetch" });
+      return answerFrom(response);
+    },
+
+    async streamRun(conversationId, { instructions } = {}) {
+      const res = await openai("/responses", {
+        method: "POST",
+        body: { ...responseSettings(), conversation: conversationId, instructions, stream: true },
+        raw: true,
+        step: "Run creation",
+      });
+      const remember = (responseId) =>
+        saveRunRecord(responseId, { responseId, created_at: null, usage: null, instructions });
+      const record = { created_at: null, usage: null };
+      return relayResponses(res.body, null, instructions ? remember : null, record);
+    },
+
+    streamToolOutputs(conversationId, runId, toolOutputs) {
+      return continueRun(conversationId, runId, toolOutputs, { stream: true });
+    },
+
+    transcribe,
+    speak,
+    uploadImage,
+    suggestFollowUps,
+  };
+}
+
+module.exports = { createResponsesProvider };
@@ -0,0 +1,117 @@
+// netlify/lib/rate-limit.js
+
+// Fixed-window rate limits and quotas for the OpenAI-backed functions.
+// Each budget is a list of "limit/windowSeconds" pairs and can be overridden with
+// an env var, e.g. RATE_LIMIT_CHAT_IP="30/600,200/86400", or switched off with "off".
+// Signed-in members and apprentices (see auth.js) have budgets of their own, counted per account.
+// Counters are read-then-written, so a burst of parallel requests can overshoot slightly.
+
+const { HttpError } = require("./http");
+const { getStore } = require("./stores");
+
+const BUDGETS = {
+  // Chat messages (start-run, stream-run, chat-proxy)
+  chat_ip: { env: "RATE_LIMIT_CHAT_IP", windows: "20/600,200/86400" },
+  chat_member: { env: "RATE_LIMIT_CHAT_MEMBER", windows: "60/600,1000/86400" },
+  chat_apprentice: { env: "RATE_LIMIT_CHAT_APPRENTICE", windows: "40/600,500/86400" },
+  chat_thread: { env: "RATE_LIMIT_CHAT_THREAD", windows: "15/600" },
+  // Characters sent to text-to-speech
+  tts_ip: { env: "RATE_LIMIT_TTS_IP", windows: "20000/3600,100000/86400" },
+  tts_member: { env: "RATE_LIMIT_TTS_MEMBER", windows: "60000/3600,300000/86400" },
+  tts_apprentice: { env: "RATE_LIMIT_TTS_APPRENTICE", windows: "40000/3600,200000/86400" },
+  // Audio bytes sent for transcription
+  stt_ip: { env: "RATE_LIMIT_STT_IP", windows: "10000000/3600,50000000/86400" },
+  stt_member: { env: "RATE_LIMIT_STT_MEMBER", windows: "30000000/3600,150000000/86400" },
+  stt_apprentice: { env: "RATE_LIMIT_STT_APPRENTICE", windows: "20000000/3600,100000000/86400" },
+  // Photos uploaded for vision input
+  upload_ip: { env: "RATE_LIMIT_UPLOAD_IP", windows: "30/3600,100/86400" },
+  upload_member: { env: "RATE_LIMIT_UPLOAD_MEMBER", windows: "30/3600,100/86400" },
+  upload_apprentice: { env: "RATE_LIMIT_UPLOAD_APPRENTICE", windows: "30/3600,100/86400" },
+  // 👍/👎 ratings on answers
+  feedback_ip: { env: "RATE_LIMIT_FEEDBACK_IP", windows: "30/600,200/86400" },
+  // Conversations forgotten (deleted from OpenAI and our stores)
+  forget_ip: { env: "RATE_LIMIT_FORGET_IP", windows: "20/600,100/86400" },
+  // Admin dashboard loads, which also limits password guessing
+  admin_ip: { env: "RATE_LIMIT_ADMIN_IP", windows: "60/3600" },
+};
+
+const MESSAGES = {
+  chat: "You're sending messages faster than Toby can keep up. Please slow down a little.",
+  tts: "Toby has read out a lot recently. Please wait a bit before playing more audio.",
+  stt: "Toby has transcribed a lot of audio recently. Please wait a bit or type your question.",
+  upload: "That's a lot of photos for one hour. Please wait a bit before sending more.",
+  feedback: "Thanks for all the feedback! Please wait a little before rating more answers.",
+  forget: "That's a lot of chats to forget at once. Please wait a little and try again.",
+  admin: "Too many attempts. Please wait a while before trying again.",
+};
+
+function parseWindows(spec) {
+  if (!spec || spec.trim() === "off") return [];
+  return spec.split(",").map((pair) => {
+    const [limit, seconds] = pair.split("/").map(Number);
+    if (!(limit > 0 && seconds > 0)) throw new Error(`Invalid rate limit window: ${pair}`);
+    return { limit, seconds };
+  });
+}
+
+const windowsFor = (budget) => {
+  const { env, windows } = BUDGETS[budget];
+  return parseWindows(process.env[env] ?? windows);
+};
+
+// The caller's IP as seen by Netlify's edge
+function clientIp(event) {
+  const headers = event.headers || {};
+  return (
+    headers["x-nf-client-connection-ip"] ||
+    (headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+    "unknown"
+  );
+}
+
+// The check for one caller: per account against their role's budget (e.g. chat_member) when
+// signed in, so a shared workshop connection doesn't use up everyone's quota; per IP otherwise,
+// and for any kind that has no budget for the caller's role
+function callerCheck(kind, event, user) {
+  const roleBudget = `${kind}_${user.role}`;
+  if (user.role !== "public" && BUDGETS[roleBudget]) return { budget: roleBudget, key: user.sub };
+  return { budget: `${kind}_ip`, key: clientIp(event) };
+}
+
+/**
+ * Charge `cost` against every check, e.g.
+ *   await enforceRateLimit("chat", [{ budget: "chat_ip", key: ip }, { budget: "chat_thread", key: threadId }]);
+ * Throws a 429 HttpError with Retry-After if any window would be exceeded; nothing is charged then.
+ */
+async function enforceRateLimit(kind, checks, cost = 1) {
+  const store = getStore("rate-limits");
+  const now = Math.floor(Date.now() / 1000);
+  const counters = [];
+  let retryAfter = 0;
+
+  for (const { budget, key } of checks) {
+    if (!key) continue;
+    for (const { limit, seconds } of windowsFor(budget)) {
+      const windowStart = now - (now % seconds);
+      const counterKey = `${budget}/${key}/${seconds}/${windowStart}`;
+      const used = (await store.get(counterKey)) || 0;
+
+      if (used + cost > limit) {
+        retryAfter = Math.max(retryAfter, windowStart + seconds - now);
+      }
+      counters.push({ counterKey, used, seconds });
+    }
+  }
+
+  if (retryAfter) {
+    throw new HttpError(429, "rate_limited", MESSAGES[kind], { "Retry-After": String(retryAfter) });
+  }
+
+  await Promise.all(
+    counters.map(({ counterKey, used, seconds }) =>
+      store.set(counterKey, used + cost, { ttlSeconds: seconds })
+    )
+  );
+}
+
+module.exports = { callerCheck, clientIp, enforceRateLimit };
@@ -0,0 +1,157 @@
+// netlify/lib/redact.js
+
+// Takes personal details out of a message before the chat functions post it to the provider (and
+// so to OpenAI). Each redactor finds one kind of detail, which is replaced with a placeholder such
+// as [phone]. REDACT_PII picks the redactors, as a comma-separated list of types (default: all of
+// them) or "off". The patterns are written for New Zealand:
+//   email    any email address
+//   card     13–19 digit card numbers that pass the Luhn check (so part and order numbers stay)
+//   phone    02x mobiles, 0[3-9] landlines, 0800/0508 numbers, and the same after +64
+//   ird      8–9 digit IRD numbers with a valid check digit
+//   address  street addresses ("2/15A Queen Street", "12 Te Awa Rd") and PO Boxes / Private Bags
+// Suburbs and towns are kept on purpose: Toby needs them to find a plumber nearby.
+
+// Digits with at most one space, dot or dash between them, as people write and dictate numbers
+const digits = (count) => `(?:[ .-]?\\d){${count}}`;
+
+const STREET_TYPES = [
+  "Street", "St", "Road", "Rd", "Avenue", "Ave", "Drive", "Dr", "Place", "Pl", "Crescent", "Cres",
+  "Terrace", "Tce", "Lane", "Ln", "Way", "Close", "Grove", "Parade", "Pde", "Highway", "Hwy", "Quay",
+  "Court", "Ct", "Esplanade", "Boulevard", "Rise", "Mews", "Square", "Sq",
+];
+
+// A national number without its leading 0: mobile, landline or 0800/0508
+const NATIONAL = `(?:2\\d${digits("6,8")}|[3-79]${digits(7)}|(?:800|508)${digits("6,7")})`;
+
+// Street names must be capitalised, so "3 new valves in place" isn't an address
+const NAME_WORD = "[A-ZĀĒĪŌŪ][A-Za-zĀĒĪŌŪāēīōū'’-]*";
+const STREET_TYPE = `(?:${STREET_TYPES.map((t) => `[${t[0]}${t[0].toLowerCase()}]${t.slice(1)}`).join("|")})`;
+
+// Mod 11 check digit with IRD's primary then secondary weights
+function validIrd(match) {
+  const number = match.replace(/\D/g, "");
+  if (+number <= 10000000 || +number >= 150000000) return false;
+
+  const base = number.slice(0, -1).padStart(8, "0").split("").map(Number);
+  const checkFor = (weights) => {
+    const remainder = base.reduce((sum, digit, i) => sum + digit * weights[i], 0) % 11;
+    return remainder === 0 ? 0 : 11 - remainder;
+  };
+  let check = checkFor([3, 2, 7, 6, 5, 4, 3, 2]);
+  if (check === 10) check = checkFor([7, 4, 3, 2, 5, 2, 7, 6]);
+  return check !== 10 && check === Number(number.slice(-1));
+}
+
+function validCard(match) {
+  const number = match.replace(/\D/g, "");
+  if (number.length < 13 || number.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Run in this order; a match overlapping an earlier one is skipped, e.g. a card number's digits
+// are never also taken for a phone number.
+const REDACTORS = [
+  {
+    type: "email",
+    label: "email address",
+    placeholder: "[email]",
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+  },
+  {
+    type: "card",
+    label: "card number",
+    placeholder: "[card number]",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    valid: validCard,
+  },
+  {
+    type: "phone",
+    label: "phone number",
+    placeholder: "[phone]",
+    pattern: new RegExp(
+      [
+        `\\+\\s?64[ .-]?(?:\\(0\\)[ .-]?)?${NATIONAL}`,
+        `(?:\\(02\\d\\)|\\b02\\d)${digits("6,8")}`,
+        `(?:\\(0[3-79]\\)|\\b0[3-79])${digits(7)}`,
+        `\\b0(?:800|508)${digits("6,7")}`,
+      ]
+        .map((alternative) => `(?:${alternative})\\b`)
+        .join("|"),
+      "g"
+    ),
+  },
+  {
+    type: "ird",
+    label: "IRD number",
+    placeholder: "[IRD number]",
+    pattern: /\b\d{2,3}[ -]?\d{3}[ -]?\d{3}\b/g,
+    valid: validIrd,
+  },
+  {
+    type: "address",
+    label: "street address",
+    placeholder: "[address]",
+    pattern: new RegExp(
+      `\\b(?:(?:[Uu]nit|[Ff]lat)\\s+\\d+[A-Za-z]?,?\\s+|\\d+[A-Za-z]?\\s*\\/\\s*)?\\d{1,5}[A-Za-z]?\\s+` +
+        `(?:${NAME_WORD}\\s+){1,3}${STREET_TYPE}\\b` +
+        "|\\b(?:[Pp]\\.?[Oo]\\.?\\s*[Bb]ox|[Pp]rivate\\s+[Bb]ag)\\s+\\d+\\b",
+      "g"
+    ),
+  },
+];
+
+const TYPES = REDACTORS.map((r) => r.type);
+
+// The types REDACT_PII turns on
+function enabledTypes() {
+  const setting = (process.env.REDACT_PII || "").trim();
+  if (!setting) return TYPES;
+  if (setting === "off") return [];
+  const types = setting.split(",").map((type) => type.trim());
+  const unknown = types.filter((type) => !TYPES.includes(type));
+  if (unknown.length) throw new Error(`Unknown REDACT_PII type: ${unknown.join(", ")}`);
+  return types;
+}
+
+/**
+ * Replace the personal details in text with placeholders. Returns { text, redactions }, where each
+ * redaction is { type, label, start, end }: what was found and where, as offsets into the original
+ * text so the browser can mark it in the user's own bubble.
+ */
+function redact(text, types = enabledTypes()) {
+  const found = [];
+  for (const redactor of REDACTORS.filter((r) => types.includes(r.type))) {
+    for (const match of text.matchAll(redactor.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (redactor.valid && !redactor.valid(match[0])) continue;
+      if (found.some((f) => start < f.end && end > f.start)) continue;
+      found.push({ redactor, start, end });
+    }
+  }
+  found.sort((a, b) => a.start - b.start);
+
+  let result = "";
+  let cursor = 0;
+  for (const { redactor, start, end } of found) {
+    result += text.slice(cursor, start) + redactor.placeholder;
+    cursor = end;
+  }
+  result += text.slice(cursor);
+
+  const redactions = found.map(({ redactor, start, end }) => ({
+    type: redactor.type,
+    label: redactor.label,
+    start,
+    end,
+  }));
+  return { text: result, redactions };
+}
+
+module.exports = { TYPES, redact };
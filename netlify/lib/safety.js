@@ -0,0 +1,167 @@
+// netlify/lib/safety.js
+
+// Spots emergencies in a question before the assistant sees it, so the browser can show what to do
+// straight away instead of after the answer. The rules live in netlify/data/safety-rules.json, for
+// the content team to edit: "emergencies" holds the banner for each kind of emergency, most urgent
+// first, and each rule names one emergency and matches it with
+//   keywords  phrases matched case-insensitively as whole words, spaces matching any whitespace
+//   patterns  regular expressions (JSON strings, so backslashes are doubled), matched with "i"
+//   except    keywords that cancel the rule's matches, e.g. "leak test" for the gas-smell rule
+//
+// Every match is logged for review, so the rules can be tuned from real questions. SAFETY_LOG picks
+// the backend:
+//   "jsonl"  one JSON line per match appended to SAFETY_LOG_FILE (default .netlify/safety.jsonl)
+//   "store"  one entry per match in the shared key-value store (Netlify Blobs in production)
+//   "off"    log nothing
+// By default it follows TOBY_STORE: "store" wherever Netlify Blobs is used, "jsonl" otherwise.
+// Entries hold the message as sent to the provider, i.e. already redacted.
+
+const fs = require("fs/promises");
+const path = require("path");
+const { emergencies: EMERGENCIES, rules: RULES } = require("../data/safety-rules.json");
+const { getStore, storeBackend } = require("./stores");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "smell gas" → /\bsmell\s+gas\b/i; keywords starting or ending in punctuation skip that \b
+const keywordPattern = (keyword) => {
+  const body = keyword.trim().split(/\s+/).map(escapeRegExp).join("\\s+");
+  const start = /^\w/.test(keyword) ? "\\b" : "";
+  const end = /\w$/.test(keyword) ? "\\b" : "";
+  return new RegExp(`${start}${body}${end}`, "i");
+};
+
+// Compiled once per function instance; a rule naming an unknown emergency fails loudly at load
+const COMPILED = RULES.map((rule) => {
+  if (!EMERGENCIES[rule.emergency]) {
+    throw new Error(`Safety rule ${rule.id} names an unknown emergency: ${rule.emergency}`);
+  }
+  return {
+    id: rule.id,
+    emergency: rule.emergency,
+    matchers: [
+      ...(rule.keywords || []).map(keywordPattern),
+      ...(rule.patterns || []).map((pattern) => new RegExp(pattern, "i")),
+    ],
+    exceptions: (rule.except || []).map(keywordPattern),
+  };
+});
+
+const PRIORITY = Object.keys(EMERGENCIES);
+
+/**
+ * The emergency a message describes, or null. Returns { emergency, title, steps, rules }: the most
+ * urgent emergency any rule matched, its banner, and the ids of every rule that matched.
+ */
+function classify(text) {
+  const matched = COMPILED.filter(
+    (rule) =>
+      rule.matchers.some((pattern) => pattern.test(text)) &&
+      !rule.exceptions.some((pattern) => pattern.test(text))
+  );
+  if (!matched.length) return null;
+
+  const emergency = PRIORITY.find((name) => matched.some((rule) => rule.emergency === name));
+  const { title, steps } = EMERGENCIES[emergency];
+  return { emergency, title, steps, rules: matched.map((rule) => rule.id) };
+}
+
+function createJsonlLog(file) {
+  return {
+    async record(entry) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify(entry) + "\n");
+    },
+
+    async list() {
+      let text;
+      try {
+        text = await fs.readFile(file, "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      return text
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch (e) {
+            console.error("Skipping unreadable safety log line:", line.slice(0, 80));
+            return null;
+          }
+        })
+        .filter(Boolean);
+    },
+
+    async forgetThread(threadId) {
+      const entries = await this.list();
+      const kept = entries.filter((entry) => entry.thread_id !== threadId);
+      if (kept.length === entries.length) return 0;
+      await fs.writeFile(file, kept.map((entry) => JSON.stringify(entry) + "\n").join(""));
+      return entries.length - kept.length;
+    },
+  };
+}
+
+function createStoreLog() {
+  const store = getStore("safety");
+  return {
+    async record(entry) {
+      await store.set(`${entry.at}-${entry.requestId}`, entry);
+    },
+
+    async list() {
+      const keys = await store.list();
+      const entries = await Promise.all(keys.map((key) => store.get(key)));
+      return entries.filter(Boolean).sort((a, b) => a.at.localeCompare(b.at));
+    },
+
+    async forgetThread(threadId) {
+      const matching = (await this.list()).filter((entry) => entry.thread_id === threadId);
+      await Promise.all(matching.map((entry) => store.delete(`${entry.at}-${entry.requestId}`)));
+      return matching.length;
+    },
+  };
+}
+
+const createOffLog = () => ({
+  record: async () => {},
+  list: async () => [],
+  forgetThread: async () => 0,
+});
+
+function getSafetyLog() {
+  const backend = process.env.SAFETY_LOG || (storeBackend() === "blobs" ? "store" : "jsonl");
+  if (backend === "store") return createStoreLog();
+  if (backend === "off") return createOffLog();
+  if (backend === "jsonl") {
+    return createJsonlLog(path.resolve(process.env.SAFETY_LOG_FILE || ".netlify/safety.jsonl"));
+  }
+  throw new Error(`Unknown SAFETY_LOG backend: ${backend}`);
+}
+
+/**
+ * Log a match for review: logSafetyMatch({ fn, requestId, thread_id, text, safety }).
+ * Never throws; the banner matters more than the log entry.
+ */
+async function logSafetyMatch({ fn, requestId, thread_id, text, safety }) {
+  const entry = {
+    at: new Date().toISOString(),
+    fn,
+    requestId,
+    thread_id,
+    emergency: safety.emergency,
+    rules: safety.rules,
+    text,
+  };
+  console.warn(`${fn}: safety rules ${safety.rules.join(", ")} matched [${requestId}]`);
+  try {
+    await getSafetyLog().record(entry);
+  } catch (err) {
+    console.error("Safety match not logged:", err.message);
+  }
+}
+
+module.exports = { classify, getSafetyLog, logSafetyMatch };
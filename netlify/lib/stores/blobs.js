@@ -0,0 +1,62 @@
+// netlify/lib/stores/blobs.js
+
+// Netlify Blobs adapter for production. Blobs has no native expiry, so values are
+// wrapped with an expiresAt timestamp (kept in metadata for binary values) and dropped
+// lazily when read after it.
+
+const { getStore } = require("@netlify/blobs");
+
+function createBlobsStore(namespace) {
+  const blobs = getStore({ name: `toby-${namespace}`, consistency: "strong" });
+
+  const read = async (key) => {
+    const entry = await blobs.get(key, { type: "json" });
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await blobs.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    async get(key) {
+      const entry = await read(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, { ttlSeconds } = {}) {
+      await blobs.setJSON(key, {
+        value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+      });
+    },
+
+    async getBuffer(key) {
+      const entry = await blobs.getWithMetadata(key, { type: "arrayBuffer" });
+      if (!entry) return null;
+      const { expiresAt } = entry.metadata || {};
+      if (expiresAt && expiresAt <= Date.now()) {
+        await blobs.delete(key);
+        return null;
+      }
+      return Buffer.from(entry.data);
+    },
+
+    async setBuffer(key, buffer, { ttlSeconds } = {}) {
+      await blobs.set(key, new Blob([buffer]), {
+        metadata: { expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null },
+      });
+    },
+
+    async delete(key) {
+      await blobs.delete(key);
+    },
+
+    async list(prefix = "") {
+      const { blobs: found } = await blobs.list({ prefix });
+      return found.map((blob) => blob.key);
+    },
+  };
+}
+
+module.exports = { createBlobsStore };
@@ -0,0 +1,32 @@
+// netlify/lib/stores/index.js
+
+// Pluggable key-value storage shared by the functions. Every store exposes
+//   get(key) → value | null, set(key, value, { ttlSeconds }), delete(key), list(prefix) → keys
+// with JSON-serialisable values, plus getBuffer(key) / setBuffer(key, buffer, { ttlSeconds })
+// for binary data such as cached audio. TOBY_STORE picks the backend ("memory" or "blobs");
+// by default Netlify Blobs is used whenever the runtime provides it.
+
+const { createMemoryStore } = require("./memory");
+
+const adapters = {
+  memory: createMemoryStore,
+  blobs: (namespace) => require("./blobs").createBlobsStore(namespace),
+};
+
+// Lambda-compatible functions must hand their event to Netlify Blobs before using it
+function connectStores(event) {
+  if (event.blobs) require("@netlify/blobs").connectLambda(event);
+}
+
+// The backend getStore uses: "memory" or "blobs"
+const storeBackend = () =>
+  process.env.TOBY_STORE || (process.env.NETLIFY_BLOBS_CONTEXT ? "blobs" : "memory");
+
+function getStore(namespace) {
+  const backend = storeBackend();
+  const create = adapters[backend];
+  if (!create) throw new Error(`Unknown TOBY_STORE backend: ${backend}`);
+  return create(namespace);
+}
+
+module.exports = { connectStores, getStore, storeBackend };
@@ -0,0 +1,52 @@
+// netlify/lib/stores/memory.js
+
+// In-process store for local dev. Survives warm invocations of the same
+// function instance only, so limits and caches reset whenever it cold-starts.
+
+const namespaces = new Map();
+
+function createMemoryStore(namespace) {
+  if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+  const entries = namespaces.get(namespace);
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, { ttlSeconds } = {}) {
+      entries.set(key, {
+        value,
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null,
+      });
+    },
+
+    async getBuffer(key) {
+      return this.get(key);
+    },
+
+    async setBuffer(key, buffer, options) {
+      return this.set(key, Buffer.from(buffer), options);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list(prefix = "") {
+      return [...entries.keys()].filter((key) => key.startsWith(prefix) && live(key));
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
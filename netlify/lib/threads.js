@@ -0,0 +1,149 @@
+// netlify/lib/threads.js
+
+// The registry of conversations Toby has created, so they can be forgotten on request
+// (forget-conversation.js) or once they pass the retention window (purge-threads.js).
+// Each entry is { thread_id, provider, createdAt, ttsKeys }, where ttsKeys are the tts-cache entries
+// read out for that conversation. THREAD_REGISTRY picks the backend:
+//   "jsonl"  one JSON line per change appended to THREAD_REGISTRY_FILE (default .netlify/threads.jsonl),
+//            for local dev; the latest line per thread wins
+//   "store"  one entry per thread in the shared key-value store (Netlify Blobs in production)
+// By default it follows TOBY_STORE: "store" wherever Netlify Blobs is used, "jsonl" otherwise.
+// Both expose record(entry), get(threadId), addAudio(threadId, key), remove(threadId) and
+// list() → entries oldest first.
+
+const fs = require("fs/promises");
+const path = require("path");
+const { getFeedbackLog } = require("./feedback");
+const { getProvider } = require("./providers");
+const { getSafetyLog } = require("./safety");
+const { getStore, storeBackend } = require("./stores");
+
+const DEFAULT_RETENTION_DAYS = 90;
+
+const byAge = (a, b) => a.createdAt.localeCompare(b.createdAt);
+
+function createJsonlRegistry(file) {
+  const append = async (line) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify(line) + "\n");
+  };
+
+  const load = async () => {
+    let text;
+    try {
+      text = await fs.readFile(file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return new Map();
+      throw err;
+    }
+    const latest = new Map();
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.removed) latest.delete(entry.thread_id);
+        else latest.set(entry.thread_id, entry);
+      } catch (e) {
+        console.error("Skipping unreadable thread registry line:", line.slice(0, 80));
+      }
+    }
+    return latest;
+  };
+
+  return {
+    record: (entry) => append(entry),
+
+    async get(threadId) {
+      return (await load()).get(threadId) || null;
+    },
+
+    async addAudio(threadId, key) {
+      const entry = await this.get(threadId);
+      if (!entry || entry.ttsKeys.includes(key)) return;
+      await append({ ...entry, ttsKeys: [...entry.ttsKeys, key] });
+    },
+
+    remove: (threadId) => append({ thread_id: threadId, removed: true }),
+
+    async list() {
+      return [...(await load()).values()].sort(byAge);
+    },
+  };
+}
+
+function createStoreRegistry() {
+  const store = getStore("threads");
+  return {
+    record: (entry) => store.set(entry.thread_id, entry),
+
+    get: (threadId) => store.get(threadId),
+
+    async addAudio(threadId, key) {
+      const entry = await store.get(threadId);
+      if (!entry || entry.ttsKeys.includes(key)) return;
+      await store.set(threadId, { ...entry, ttsKeys: [...entry.ttsKeys, key] });
+    },
+
+    remove: (threadId) => store.delete(threadId),
+
+    async list() {
+      const keys = await store.list();
+      const entries = await Promise.all(keys.map((key) => store.get(key)));
+      return entries.filter(Boolean).sort(byAge);
+    },
+  };
+}
+
+function getThreadRegistry() {
+  const backend = process.env.THREAD_REGISTRY || (storeBackend() === "blobs" ? "store" : "jsonl");
+  if (backend === "store") return createStoreRegistry();
+  if (backend === "jsonl") {
+    return createJsonlRegistry(path.resolve(process.env.THREAD_REGISTRY_FILE || ".netlify/threads.jsonl"));
+  }
+  throw new Error(`Unknown THREAD_REGISTRY backend: ${backend}`);
+}
+
+// Called by the chat functions whenever they create a conversation
+function registerThread(threadId, provider) {
+  return getThreadRegistry().record({
+    thread_id: threadId,
+    provider,
+    createdAt: new Date().toISOString(),
+    ttsKeys: [],
+  });
+}
+
+// THREAD_RETENTION_DAYS (default 90), or null when set to "off"
+function retentionDays() {
+  const setting = (process.env.THREAD_RETENTION_DAYS || String(DEFAULT_RETENTION_DAYS)).trim();
+  if (setting === "off") return null;
+  const days = Number(setting);
+  if (!(days > 0)) throw new Error(`Invalid THREAD_RETENTION_DAYS: ${setting}`);
+  return days;
+}
+
+/**
+ * Delete a conversation from the provider that created it, the audio read out for it, its safety
+ * log entries and (unless feedback is false) its 👍/👎 ratings, then drop it from the registry.
+ * Conversations the registry doesn't know are deleted with the configured provider.
+ * Returns { conversation, audio, feedback, safety }: whether the provider still had it, and how many
+ * cached audio files, ratings and safety log entries were removed.
+ */
+async function forgetThread(threadId, { feedback = true } = {}) {
+  const registry = getThreadRegistry();
+  const entry = await registry.get(threadId);
+
+  const conversation = await getProvider(entry ? entry.provider : undefined).deleteConversation(threadId);
+
+  const ttsKeys = entry ? entry.ttsKeys : [];
+  const cache = getStore("tts-cache");
+  await Promise.all(ttsKeys.map((key) => cache.delete(key)));
+
+  const ratings = feedback ? await getFeedbackLog().forgetThread(threadId) : 0;
+  const safety = await getSafetyLog().forgetThread(threadId);
+
+  if (entry) await registry.remove(threadId);
+  return { conversation, audio: ttsKeys.length, feedback: ratings, safety };
+}
+
+module.exports = { forgetThread, getThreadRegistry, registerThread, retentionDays };
@@ -0,0 +1,87 @@
+// netlify/lib/tools/find-master-plumber.js
+
+// Looks up member businesses in the Master Plumbers directory (netlify/data/master-plumbers.json)
+// by region, suburb and service type.
+
+const directory = require("../../data/master-plumbers.json");
+
+const SERVICES = [
+  "general plumbing",
+  "gasfitting",
+  "drainlaying",
+  "hot water",
+  "roofing",
+  "backflow testing",
+  "bathroom renovation",
+  "heat pumps",
+];
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+const normalise = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// "Wellington" matches "Wellington Central"; "Mt Maunganui" matches "Mount Maunganui"
+const samePlace = (a, b) => {
+  const [x, y] = [a, b].map((s) => normalise(s).replace(/\bmt\b/g, "mount"));
+  return x === y || x.startsWith(`${y} `) || y.startsWith(`${x} `);
+};
+
+const servesSuburb = (member, suburb) =>
+  member.suburbs.some((s) => samePlace(s, suburb)) || normalise(member.address).includes(normalise(suburb));
+
+const offers = (member, service) => member.services.some((s) => normalise(s) === normalise(service));
+
+module.exports = {
+  name: "find_master_plumber",
+  description:
+    "Find Master Plumbers member businesses near the user. Use when someone asks for a plumber, " +
+    "gasfitter, drainlayer or roofer to hire, or wants a member's contact details.",
+  parameters: {
+    type: "object",
+    properties: {
+      region: { type: "string", description: "NZ region, e.g. Auckland, Wellington, Canterbury" },
+      suburb: { type: "string", description: "Suburb or town, e.g. Takapuna, Rolleston" },
+      service: { type: "string", enum: SERVICES, description: "Type of work needed" },
+      limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT, description: "Maximum results" },
+    },
+    required: [],
+  },
+
+  async handler({ region, suburb, service, limit = DEFAULT_LIMIT }) {
+    const max = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    let matches = directory.filter(
+      (member) => (!region || samePlace(member.region, region)) && (!service || offers(member, service))
+    );
+
+    // Nobody lists that exact suburb: offer the rest of the region rather than nothing
+    let note;
+    if (suburb) {
+      const local = matches.filter((member) => servesSuburb(member, suburb));
+      if (local.length || !region) matches = local;
+      else note = `No members list ${suburb}; showing others in ${region}.`;
+    }
+
+    return {
+      count: Math.min(matches.length, max),
+      ...(note ? { note } : {}),
+      members: matches.slice(0, max),
+    };
+  },
+
+  cards(result) {
+    return result.members.map((member) => ({
+      type: "contact",
+      title: member.name,
+      subtitle: `${member.region} · ${member.services.join(", ")}`,
+      phone: member.phone,
+      email: member.email,
+      website: member.website,
+      address: member.address,
+    }));
+  },
+};
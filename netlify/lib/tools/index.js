@@ -0,0 +1,90 @@
+// netlify/lib/tools/index.js
+
+// Registry of the functions the assistant may call. Every other .js file in this folder is a
+// tool module exporting:
+//   name         function name the assistant calls
+//   description  when to use it (shown to the model)
+//   parameters   JSON Schema for the arguments
+//   handler(args) → result sent back to the run as the tool output
+//   cards(result, args) → optional contact cards to show the user alongside the reply
+// Tools are found at runtime, so netlify.toml ships this folder with every function.
+// The chat provider (../providers) hands the outputs back to the run.
+
+const fs = require("fs");
+const path = require("path");
+const { getStore } = require("../stores");
+
+// Cards from a polled run are kept until check-run reports it complete
+const CARDS_TTL_SECONDS = 3600;
+
+const tools = new Map(
+  fs
+    .readdirSync(__dirname)
+    .filter((file) => file.endsWith(".js") && file !== "index.js")
+    .map((file) => require(path.join(__dirname, file)))
+    .map((tool) => [tool.name, tool])
+);
+
+// The run's tool list: file search over the assistant's documents plus every registered function
+function toolDefinitions() {
+  return [
+    { type: "file_search" },
+    ...[...tools.values()].map(({ name, description, parameters }) => ({
+      type: "function",
+      function: { name, description, parameters },
+    })),
+  ];
+}
+
+async function runToolCall(call) {
+  const tool = tools.get(call.function?.name);
+  if (!tool) return { output: { error: `Unknown tool: ${call.function?.name}` }, cards: [] };
+
+  let args;
+  try {
+    args = JSON.parse(call.function.arguments || "{}");
+  } catch (e) {
+    return { output: { error: "Arguments were not valid JSON." }, cards: [] };
+  }
+
+  const missing = (tool.parameters.required || []).filter((key) => args[key] === undefined);
+  if (missing.length) return { output: { error: `Missing ${missing.join(", ")}.` }, cards: [] };
+
+  // A failing tool is reported to the model so it can explain or try something else
+  try {
+    const result = await tool.handler(args);
+    return { output: result, cards: tool.cards ? tool.cards(result, args) : [] };
+  } catch (e) {
+    console.error(`Tool ${tool.name} failed:`, e);
+    return { output: { error: `${tool.name} failed: ${e.message}` }, cards: [] };
+  }
+}
+
+/**
+ * Execute the tool calls a run is waiting on: [{ id, function: { name, arguments } }].
+ * Returns { toolOutputs: [{ tool_call_id, output }], cards } ready for submitToolOutputs.
+ */
+async function runToolCalls(toolCalls = []) {
+  const results = await Promise.all(toolCalls.map(runToolCall));
+  return {
+    toolOutputs: toolCalls.map((call, i) => ({
+      tool_call_id: call.id,
+      output: JSON.stringify(results[i].output),
+    })),
+    cards: results.flatMap((r) => r.cards),
+  };
+}
+
+// Polled runs hand tool calls and the final reply to different check-run requests
+async function saveRunCards(runId, cards) {
+  if (!cards.length) return;
+  const store = getStore("tool-cards");
+  const saved = (await store.get(runId)) || [];
+  await store.set(runId, [...saved, ...cards], { ttlSeconds: CARDS_TTL_SECONDS });
+}
+
+async function loadRunCards(runId) {
+  return (await getStore("tool-cards").get(runId)) || [];
+}
+
+module.exports = { loadRunCards, runToolCalls, saveRunCards, toolDefinitions };
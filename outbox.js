@@ -0,0 +1,161 @@
+// outbox.js
+
+// Questions asked while offline wait in the TobyStore outbox until they can be sent.
+// Loaded by the page and by the service worker (for Background Sync), so it only relies on
+// fetch, IndexedDB and TobyStore. Replies are polled (start-run + check-run), not streamed.
+// Each question keeps the sign-in token it was asked with, since the service worker can't read
+// localStorage.
+
+(function (global) {
+  const SYNC_TAG = "toby-outbox";
+  const START_RUN = "/.netlify/functions/start-run";
+  const CHECK_RUN = "/.netlify/functions/check-run";
+  const UPLOAD_IMAGE = "/.netlify/functions/upload-image";
+  const POLL_MS = 1500;
+  const REPLY_TIMEOUT_MS = 120000;
+
+  // Toby's site, when the chat is embedded elsewhere (widget.js); set through TobyOutbox.configure
+  let apiBase = "";
+
+  // Worth trying again later: no network, offline fallback, rate limit or a slow run
+  class RetryLater extends Error {}
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  async function post(url, body, accessToken) {
+    const headers = { "Content-Type": "application/json" };
+    if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+    let res;
+    try {
+      res = await fetch(apiBase + url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+      });
+    } catch (err) {
+      throw new RetryLater(err.message);
+    }
+    if (res.status === 503 || res.status === 429) throw new RetryLater(`HTTP ${res.status}`);
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error ? data.error.message : `HTTP ${res.status}`);
+    return { status: res.status, data };
+  }
+
+  // Send one queued question; resolves with { reply, sources, cards }, or null if its chat was deleted
+  async function deliver(item) {
+    const conversation = await TobyStore.getConversation(item.conversationId);
+    if (!conversation) return null;
+
+    let { thread_id, run_id, image_file_ids } = item;
+    if (item.images && item.images.length && !image_file_ids) {
+      image_file_ids = [];
+      for (const image of item.images) {
+        image_file_ids.push((await post(UPLOAD_IMAGE, image, item.accessToken)).data.file_id);
+      }
+      // The uploaded ids replace the photo data, which is the bulk of the entry
+      await TobyStore.updateOutbox(item.id, { image_file_ids, images: [] });
+    }
+
+    if (!run_id) {
+      const { data } = await post(
+        START_RUN,
+        { message: item.message, thread_id: conversation.thread_id || undefined, image_file_ids },
+        item.accessToken
+      );
+      ({ thread_id, run_id } = data);
+      // Remember the run first, so a retry polls it instead of posting the question twice
+      await TobyStore.updateOutbox(item.id, { thread_id, run_id });
+      await TobyStore.updateConversation(conversation.id, { thread_id });
+      if (data.redactions && data.redactions.length) {
+        await TobyStore.updateMessage(conversation.id, item.messageId, { redactions: data.redactions });
+      }
+      // The page shows the emergency banner from here when it next draws this chat
+      if (data.safety) await TobyStore.updateMessage(conversation.id, item.messageId, { safety: data.safety });
+    }
+
+    const deadline = Date.now() + REPLY_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const { status, data } = await post(CHECK_RUN, { thread_id, run_id }, item.accessToken);
+      if (status === 202) {
+        await sleep(POLL_MS);
+      } else if (data.status && data.status !== "completed") {
+        return {
+          reply: `⚠️ Toby couldn't answer this question while you were offline (${data.status}). Please ask again.`,
+          sources: [],
+        };
+      } else {
+        return {
+          reply: data.reply || "(No response)",
+          sources: data.sources || [],
+          cards: data.cards || [],
+          followUps: data.follow_ups || [],
+        };
+      }
+    }
+    throw new RetryLater("Timed out waiting for the reply");
+  }
+
+  async function flushQueue(onDelivered) {
+    for (const item of await TobyStore.listOutbox()) {
+      let result;
+      try {
+        result = await deliver(item);
+      } catch (err) {
+        // Stop here so later questions can't overtake this one
+        if (err instanceof RetryLater) throw err;
+        result = {
+          reply: `⚠️ Toby couldn't send this question (${err.message}). Please ask again.`,
+          sources: [],
+        };
+      }
+
+      if (result) {
+        await TobyStore.updateMessage(item.conversationId, item.messageId, { queued: false });
+        // Answer straight under its question, even if more were asked while offline
+        await TobyStore.appendMessage(
+          item.conversationId,
+          {
+            role: "bot",
+            content: result.reply,
+            sources: result.sources,
+            cards: result.cards,
+            followUps: result.followUps,
+          },
+          { after: item.messageId }
+        );
+      }
+      await TobyStore.removeFromOutbox(item.id);
+      if (onDelivered) onDelivered(item);
+    }
+  }
+
+  const TobyOutbox = {
+    SYNC_TAG,
+    RetryLater,
+
+    configure(options) {
+      if (options.apiBase !== undefined) apiBase = options.apiBase;
+    },
+
+    // images: [{ imageBase64, mimeType }] to upload before the question is sent;
+    // accessToken: the member sign-in to send it with, if any
+    enqueue(conversationId, messageId, message, images = [], accessToken = null) {
+      return TobyStore.addToOutbox({ conversationId, messageId, message, images, accessToken });
+    },
+
+    async count(conversationId) {
+      const items = await TobyStore.listOutbox();
+      return conversationId ? items.filter((i) => i.conversationId === conversationId).length : items.length;
+    },
+
+    // Send everything queued, oldest first. Rejects with RetryLater if it had to stop early.
+    // The page and the service worker may both flush; a Web Lock keeps them from overlapping.
+    flush(onDelivered) {
+      const run = () => flushQueue(onDelivered);
+      return global.navigator && navigator.locks ? navigator.locks.request(SYNC_TAG, run) : run();
+    },
+  };
+
+  global.TobyOutbox = TobyOutbox;
+})(self);
@@ -1,13 +1,22 @@
-const CACHE_NAME = "toby-plus-v2";
+const CACHE_NAME = "toby-plus-v26";
 const ASSETS_TO_CACHE = [
   "/", // root
   "/bot.html",
   "/chatbot.js",
+  "/conversation-store.js",
+  "/export.js",
+  "/markdown.js",
+  "/outbox.js",
+  "/settings.js",
+  "/voice-activity.js",
   "/manifest.json",
   "/icons/icon-192.png",
   "/icons/icon-512.png"
 ];
 
+// Questions asked offline are queued in IndexedDB and sent from here via Background Sync
+importScripts("/conversation-store.js", "/outbox.js");
+
 // Install and cache assets
 self.addEventListener("install", (event) => {
   console.log("[SW] Install");
@@ -61,3 +70,17 @@ self.addEventListener("fetch", (event) => {
     })
   );
 });
+
+// Send queued questions once we're back online; a RetryLater rejection makes the browser try again
+self.addEventListener("sync", (event) => {
+  if (event.tag !== TobyOutbox.SYNC_TAG) return;
+  event.waitUntil(
+    TobyOutbox.flush((item) =>
+      self.clients.matchAll({ includeUncontrolled: true }).then((clients) =>
+        clients.forEach((client) =>
+          client.postMessage({ type: "outbox-delivered", conversationId: item.conversationId })
+        )
+      )
+    )
+  );
+});
@@ -0,0 +1,100 @@
+// settings.js
+
+// Voice and narration preferences, kept in localStorage so they survive reloads.
+// Values are checked on the way in and out, so a hand-edited or stale entry falls back to defaults.
+
+(function (global) {
+  const KEY = "toby-settings";
+
+  // The voices tts.js accepts (TTS_VOICES there); keep the two lists in step
+  const SERVER_VOICES = [
+    "alloy",
+    "ash",
+    "ballad",
+    "coral",
+    "echo",
+    "fable",
+    "nova",
+    "onyx",
+    "sage",
+    "shimmer",
+    "verse",
+  ];
+
+  // Matches the levels in voice-activity.js
+  const MIC_SENSITIVITIES = ["low", "medium", "high"];
+
+  const DEFAULTS = {
+    serverVoice: "alloy",
+    browserVoice: "", // voiceURI, or "" to pick automatically
+    rate: 1,
+    pitch: 1,
+    autoNarrate: true,
+    preferServerAudio: false, // narrate and replay with the server voice instead of the browser's
+    micSensitivity: "medium", // "low" for noisy sites, "high" for quiet rooms and soft voices
+  };
+
+  const clamp = (value, min, max, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  };
+
+  function clean(values) {
+    return {
+      serverVoice: SERVER_VOICES.includes(values.serverVoice) ? values.serverVoice : DEFAULTS.serverVoice,
+      browserVoice: typeof values.browserVoice === "string" ? values.browserVoice : DEFAULTS.browserVoice,
+      rate: clamp(values.rate, 0.5, 2, DEFAULTS.rate),
+      pitch: clamp(values.pitch, 0, 2, DEFAULTS.pitch),
+      autoNarrate: typeof values.autoNarrate === "boolean" ? values.autoNarrate : DEFAULTS.autoNarrate,
+      preferServerAudio:
+        typeof values.preferServerAudio === "boolean" ? values.preferServerAudio : DEFAULTS.preferServerAudio,
+      micSensitivity: MIC_SENSITIVITIES.includes(values.micSensitivity)
+        ? values.micSensitivity
+        : DEFAULTS.micSensitivity,
+    };
+  }
+
+  function load() {
+    try {
+      return clean({ ...DEFAULTS, ...JSON.parse(localStorage.getItem(KEY) || "{}") });
+    } catch (e) {
+      return { ...DEFAULTS };
+    }
+  }
+
+  let current = null;
+
+  const TobySettings = {
+    SERVER_VOICES,
+    MIC_SENSITIVITIES,
+    DEFAULTS,
+
+    get() {
+      if (!current) current = load();
+      return current;
+    },
+
+    // Merge and save; returns the new settings. Without storage (private mode) they last this visit.
+    update(changes) {
+      current = clean({ ...TobySettings.get(), ...changes });
+      try {
+        localStorage.setItem(KEY, JSON.stringify(current));
+      } catch (e) {
+        // keep the in-memory settings for this visit
+      }
+      return current;
+    },
+
+    reset() {
+      current = { ...DEFAULTS };
+      try {
+        localStorage.removeItem(KEY);
+      } catch (e) {
+        // nothing saved to remove
+      }
+      return current;
+    },
+  };
+
+  global.TobySettings = TobySettings;
+})(self);
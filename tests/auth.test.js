@@ -0,0 +1,64 @@
+// tests/auth.test.js — run with `npm test`
+
+const assert = require("node:assert/strict");
+const { afterEach, describe, test } = require("node:test");
+const { authenticate, signToken, verifyToken } = require("../netlify/lib/auth");
+
+const SECRET = "test-secret";
+const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+// verifyToken's 401, as { statusCode, code, message }
+const rejection = (token) => {
+  try {
+    verifyToken(token);
+  } catch (err) {
+    return { statusCode: err.statusCode, code: err.code, message: err.message };
+  }
+  assert.fail("token was accepted");
+};
+
+afterEach(() => {
+  delete process.env.AUTH_JWT_SECRET;
+});
+
+describe("verifyToken", () => {
+  test("accepts a token signed with AUTH_JWT_SECRET", () => {
+    process.env.AUTH_JWT_SECRET = SECRET;
+    const claims = verifyToken(signToken({ sub: "m-1", role: "member", exp: inAnHour() }, SECRET));
+    assert.equal(claims.sub, "m-1");
+  });
+
+  test("rejects a header or payload that isn't a JSON object as malformed, not a server error", () => {
+    process.env.AUTH_JWT_SECRET = SECRET;
+    const malformed = { statusCode: 401, code: "invalid_token", message: "Malformed token." };
+    assert.deepEqual(rejection("bnVsbA.bnVsbA.x"), malformed); // null.null
+    assert.deepEqual(rejection(`${encode({ alg: "HS256" })}.${encode(null)}.x`), malformed);
+    assert.deepEqual(rejection(`${encode([])}.${encode({ sub: "m-1" })}.x`), malformed);
+    assert.deepEqual(rejection(`${encode({ alg: "HS256" })}.${encode(42)}.x`), malformed);
+    assert.deepEqual(rejection("not-a-token"), malformed);
+  });
+
+  test("rejects a bad signature and an expired token", () => {
+    process.env.AUTH_JWT_SECRET = SECRET;
+    assert.equal(
+      rejection(signToken({ sub: "m-1", exp: inAnHour() }, "other-secret")).message,
+      "Token signature is invalid."
+    );
+    assert.match(rejection(signToken({ sub: "m-1", exp: 1 }, SECRET)).message, /expired/);
+  });
+});
+
+describe("authenticate", () => {
+  test("treats a caller without a token as public", () => {
+    assert.deepEqual(authenticate({ headers: {} }), { role: "public", sub: null, name: null });
+  });
+
+  test("answers a null token with 401 invalid_token", () => {
+    process.env.AUTH_JWT_SECRET = SECRET;
+    assert.throws(() => authenticate({ headers: { authorization: "Bearer bnVsbA.bnVsbA.x" } }), {
+      statusCode: 401,
+      code: "invalid_token",
+    });
+  });
+});
@@ -0,0 +1,176 @@
+// tests/mock-provider.test.js — run with `npm test`
+//
+// The chat and voice functions end to end against the mock provider: no network, no API keys.
+
+const assert = require("node:assert/strict");
+const { PassThrough } = require("node:stream");
+const { describe, test } = require("node:test");
+
+Object.assign(process.env, {
+  TOBY_PROVIDER: "mock",
+  TOBY_STORE: "memory",
+  ANALYTICS_STORE: "off",
+  THREAD_REGISTRY: "store",
+  SAFETY_LOG: "off",
+});
+
+// Netlify's runtime provides this for streamed responses; here the handler writes straight to the stream
+globalThis.awslambda = {
+  streamifyResponse: (handler) => handler,
+  HttpResponseStream: { from: (responseStream, meta) => Object.assign(responseStream, { meta }) },
+};
+
+const handler = (name) => require(`../netlify/functions/${name}`).handler;
+
+async function post(name, body) {
+  const res = await handler(name)({
+    httpMethod: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { statusCode: res.statusCode, headers: res.headers, data: JSON.parse(res.body) };
+}
+
+// Run a streamed function; resolves with { meta, body } once the whole response has been written
+function streamed(name, event) {
+  return new Promise((resolve, reject) => {
+    const out = new PassThrough();
+    const chunks = [];
+    out.on("data", (chunk) => chunks.push(Buffer.from(chunk)));
+    out.on("end", () => resolve({ meta: out.meta, body: Buffer.concat(chunks) }));
+    handler(name)(event, out, {}).catch(reject);
+  });
+}
+
+const events = (body) =>
+  body
+    .toString("utf8")
+    .split("\n\n")
+    .filter(Boolean)
+    .map((frame) => {
+      const [, event] = frame.match(/^event: (.+)$/m);
+      const [, data] = frame.match(/^data: (.+)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+
+// Poll check-run the way the browser does, returning every response
+async function poll(run) {
+  const responses = [];
+  for (let i = 0; i < 10; i++) {
+    const res = await post("check-run", run);
+    responses.push(res);
+    if (res.statusCode !== 202) return responses;
+  }
+  assert.fail("run never finished");
+}
+
+describe("polled answers", () => {
+  test("start-run then check-run returns the completed reply and its sources", async () => {
+    const start = await post("start-run", { message: "How deep should a gully trap be?" });
+    assert.equal(start.statusCode, 200);
+    assert.match(start.data.thread_id, /^thread_mock/);
+    assert.match(start.data.run_id, /^run_mock/);
+
+    const done = (await poll({ thread_id: start.data.thread_id, run_id: start.data.run_id })).pop();
+    assert.equal(done.statusCode, 200);
+    assert.equal(done.data.status, "completed");
+    assert.match(done.data.reply, /Mock answer\*\* to: “How deep should a gully trap be\?”/);
+    assert.match(done.data.reply, /\[\^1\]/);
+    assert.deepEqual(done.data.sources.map((source) => source.fileName), ["mock-handbook.pdf"]);
+    assert.equal(done.data.follow_ups.length, 3);
+  });
+
+  test("a request for a plumber goes through the directory lookup before the answer", async () => {
+    const start = await post("start-run", { message: "Can you find a plumber in Nelson?" });
+    const responses = await poll({ thread_id: start.data.thread_id, run_id: start.data.run_id });
+
+    // check-run answers the tool call and keeps the browser polling, then the run completes
+    assert.deepEqual(responses.map((res) => res.statusCode), [202, 200]);
+    assert.equal(responses[0].data.status, "in_progress");
+    const done = responses.pop().data;
+    assert.equal(done.status, "completed");
+    assert.match(done.reply, /I found 0 Master Plumbers members for you\./); // none listed in Nelson
+    assert.deepEqual(done.cards, []);
+  });
+
+  test("the directory's matches come back as contact cards", async () => {
+    const start = await post("start-run", { message: "I need a plumber in Wellington" });
+    const done = (await poll({ thread_id: start.data.thread_id, run_id: start.data.run_id })).pop().data;
+    assert.match(done.reply, /I found 2 Master Plumbers members for you\./);
+    assert.deepEqual(done.cards.map((card) => card.type), ["contact", "contact"]);
+  });
+});
+
+describe("streamed answers", () => {
+  test("stream-run sends safety, run, the deltas and done, in that order", async () => {
+    const { meta, body } = await streamed("stream-run", {
+      httpMethod: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ message: "I can smell gas in the kitchen, what do I do?" }),
+    });
+    assert.equal(meta.statusCode, 200);
+    assert.equal(meta.headers["Content-Type"], "text/event-stream");
+
+    const frames = events(body);
+    const order = frames.map((frame) => frame.event).filter((event, i, all) => event !== all[i - 1]);
+    assert.deepEqual(order, ["safety", "run", "delta", "done"]);
+
+    assert.equal(frames[0].data.safety.emergency, "gas");
+    const done = frames.pop().data;
+    const streamedText = frames
+      .filter((frame) => frame.event === "delta")
+      .map((frame) => frame.data.text)
+      .join("");
+    assert.equal(streamedText, done.reply);
+    assert.equal(done.status, "completed");
+    assert.equal(done.sources[0].fileName, "mock-handbook.pdf");
+  });
+
+  test("a question with no emergency starts with the run", async () => {
+    const { body } = await streamed("stream-run", {
+      httpMethod: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ message: "What size pipe for a shower?" }),
+    });
+    assert.equal(events(body)[0].event, "run");
+  });
+});
+
+describe("tts", () => {
+  test("synthesizes new text (MISS), then serves the same text from the cache (HIT)", async () => {
+    const event = {
+      httpMethod: "GET",
+      headers: {},
+      queryStringParameters: { text: "Turn the water off at the toby.", format: "wav" },
+    };
+    const first = await streamed("tts", event);
+    assert.equal(first.meta.statusCode, 200);
+    assert.equal(first.meta.headers["X-Cache"], "MISS");
+    assert.equal(first.meta.headers["Content-Type"], "audio/wav");
+    assert.equal(first.body.subarray(0, 4).toString("latin1"), "RIFF");
+
+    const second = await streamed("tts", event);
+    assert.equal(second.meta.headers["X-Cache"], "HIT");
+    assert.deepEqual(second.body, first.body);
+  });
+});
+
+describe("forget-conversation", () => {
+  test("forgets a conversation this deployment created, and only once", async () => {
+    const start = await post("start-run", { message: "How do I bleed a radiator?" });
+    await poll({ thread_id: start.data.thread_id, run_id: start.data.run_id });
+
+    const forgotten = await post("forget-conversation", { thread_id: start.data.thread_id });
+    assert.equal(forgotten.statusCode, 200);
+    assert.equal(forgotten.data.deleted.conversation, true);
+
+    const again = await post("forget-conversation", { thread_id: start.data.thread_id });
+    assert.equal(again.statusCode, 404);
+    assert.equal(again.data.error.code, "not_found");
+  });
+
+  test("refuses a thread the registry doesn't know", async () => {
+    const res = await post("forget-conversation", { thread_id: "thread_notfromthisdeployment" });
+    assert.equal(res.statusCode, 404);
+  });
+});
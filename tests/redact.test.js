@@ -0,0 +1,191 @@
+// tests/redact.test.js — run with `npm test`
+
+const assert = require("node:assert/strict");
+const { afterEach, describe, test } = require("node:test");
+const { TYPES, redact } = require("../netlify/lib/redact");
+
+// What each redactor took out of text, as [type, matched text] pairs
+const found = (text, types) =>
+  redact(text, types).redactions.map(({ type, start, end }) => [type, text.slice(start, end)]);
+
+describe("email", () => {
+  test("redacts addresses, including plus tags and NZ domains", () => {
+    assert.equal(redact("Send it to sam.smith+jobs@example.co.nz please").text, "Send it to [email] please");
+    assert.deepEqual(found("a@b.nz, first_last@sub.example.com"), [
+      ["email", "a@b.nz"],
+      ["email", "first_last@sub.example.com"],
+    ]);
+  });
+
+  test("leaves handles and bare domains alone", () => {
+    assert.deepEqual(found("Follow @masterplumbers or visit masterplumbers.org.nz"), []);
+  });
+});
+
+describe("card", () => {
+  test("redacts numbers that pass the Luhn check, however they are spaced", () => {
+    assert.equal(redact("Card 4111 1111 1111 1111, exp 12/27").text, "Card [card number], exp 12/27");
+    assert.deepEqual(found("5555-5555-5555-4444 and 378282246310005"), [
+      ["card", "5555-5555-5555-4444"],
+      ["card", "378282246310005"],
+    ]);
+  });
+
+  test("leaves numbers that fail the Luhn check alone", () => {
+    assert.deepEqual(found("Part 4111 1111 1111 1112, order 1234567890123"), []);
+  });
+});
+
+describe("phone", () => {
+  test("redacts mobiles written in the usual ways", () => {
+    assert.deepEqual(found("021 123 4567, 022-123-4567, 0271234567, (027) 123 456, 029 1234 5678"), [
+      ["phone", "021 123 4567"],
+      ["phone", "022-123-4567"],
+      ["phone", "0271234567"],
+      ["phone", "(027) 123 456"],
+      ["phone", "029 1234 5678"],
+    ]);
+  });
+
+  test("redacts landlines with or without brackets", () => {
+    assert.deepEqual(found("09 555 1234, (03) 477-1234, 04.555.1234"), [
+      ["phone", "09 555 1234"],
+      ["phone", "(03) 477-1234"],
+      ["phone", "04.555.1234"],
+    ]);
+  });
+
+  test("redacts 0800 and 0508 numbers", () => {
+    assert.deepEqual(found("0800 123 456 or 0508 123 4567"), [
+      ["phone", "0800 123 456"],
+      ["phone", "0508 123 4567"],
+    ]);
+  });
+
+  test("redacts +64 numbers, including the (0) some people keep", () => {
+    assert.equal(
+      redact("Ring +64 21 123 4567 or +64 (0)9 555 1234 or +6448001234").text,
+      "Ring [phone] or [phone] or [phone]"
+    );
+  });
+
+  test("stops at the end of the number", () => {
+    assert.equal(redact("Call 021 123 4567 15 times").text, "Call [phone] 15 times");
+  });
+
+  test("leaves measurements, dates and other numbers alone", () => {
+    assert.deepEqual(found("15 mm pipe at 300 kPa, 09/10/2024, 0.5 l/s, order 01234"), []);
+  });
+});
+
+describe("ird", () => {
+  test("redacts 8 and 9 digit IRD numbers with a valid check digit", () => {
+    assert.deepEqual(found("49-091-850, 35901981, 49 098 576 and 136-410-132"), [
+      ["ird", "49-091-850"],
+      ["ird", "35901981"],
+      ["ird", "49 098 576"],
+      ["ird", "136-410-132"],
+    ]);
+  });
+
+  test("leaves numbers with the wrong check digit or out of range alone", () => {
+    assert.deepEqual(found("136-410-133, 9125568, 150000000"), []);
+  });
+});
+
+describe("address", () => {
+  test("redacts street addresses and keeps the suburb and town", () => {
+    assert.equal(
+      redact("The job is at 2/15A Queen Street, Grey Lynn, Auckland").text,
+      "The job is at [address], Grey Lynn, Auckland"
+    );
+  });
+
+  test("knows NZ street types, abbreviations and te reo names", () => {
+    assert.deepEqual(found("12 Te Awa Rd, Flat 3, 27 Ōtaki Gorge Road, 8 Marine Pde, 40 Oriental Tce"), [
+      ["address", "12 Te Awa Rd"],
+      ["address", "Flat 3, 27 Ōtaki Gorge Road"],
+      ["address", "8 Marine Pde"],
+      ["address", "40 Oriental Tce"],
+    ]);
+  });
+
+  test("redacts PO Boxes and Private Bags", () => {
+    assert.deepEqual(found("PO Box 1234 or P.O. Box 56, Private Bag 92019"), [
+      ["address", "PO Box 1234"],
+      ["address", "P.O. Box 56"],
+      ["address", "Private Bag 92019"],
+    ]);
+  });
+
+  test("leaves plumbing talk alone", () => {
+    assert.deepEqual(found("I put 3 new valves in place on the 2 storey house way out west"), []);
+  });
+});
+
+describe("redact", () => {
+  afterEach(() => {
+    delete process.env.REDACT_PII;
+  });
+
+  test("reports each redaction with offsets into the original text", () => {
+    const text = "Email jo@example.nz or call 021 123 4567";
+    assert.deepEqual(redact(text), {
+      text: "Email [email] or call [phone]",
+      redactions: [
+        { type: "email", label: "email address", start: 6, end: 19 },
+        { type: "phone", label: "phone number", start: 28, end: 40 },
+      ],
+    });
+  });
+
+  test("never redacts the same text twice", () => {
+    // A card number's digit groups would otherwise look like a phone number too
+    assert.deepEqual(found("4111 1111 1111 1111"), [["card", "4111 1111 1111 1111"]]);
+  });
+
+  test("returns text without personal details unchanged", () => {
+    assert.deepEqual(redact("Can you find a plumber in Wellington?"), {
+      text: "Can you find a plumber in Wellington?",
+      redactions: [],
+    });
+  });
+
+  test("runs only the types REDACT_PII names, or none when it is off", () => {
+    const text = "jo@example.nz, 021 123 4567";
+    process.env.REDACT_PII = "phone";
+    assert.equal(redact(text).text, "jo@example.nz, [phone]");
+    process.env.REDACT_PII = "off";
+    assert.equal(redact(text).text, text);
+    process.env.REDACT_PII = "phone, email";
+    assert.equal(redact(text).text, "[email], [phone]");
+  });
+
+  test("rejects unknown types in REDACT_PII", () => {
+    process.env.REDACT_PII = "phone,passport";
+    assert.throws(() => redact("hi"), /Unknown REDACT_PII type: passport/);
+  });
+
+  test("runs every type by default", () => {
+    delete process.env.REDACT_PII;
+    const text =
+      "I'm jo@example.nz on 021 123 4567, IRD 49-091-850, card 4111 1111 1111 1111. " +
+      "The job is at 12 Te Awa Rd, Grey Lynn.";
+    const { text: sent, redactions } = redact(text);
+    assert.equal(
+      sent,
+      "I'm [email] on [phone], IRD [IRD number], card [card number]. The job is at [address], Grey Lynn."
+    );
+    assert.deepEqual(
+      redactions.map(({ type, start, end }) => [type, text.slice(start, end)]),
+      [
+        ["email", "jo@example.nz"],
+        ["phone", "021 123 4567"],
+        ["ird", "49-091-850"],
+        ["card", "4111 1111 1111 1111"],
+        ["address", "12 Te Awa Rd"],
+      ]
+    );
+    assert.deepEqual([...new Set(redactions.map((r) => r.type))].sort(), [...TYPES].sort());
+  });
+});
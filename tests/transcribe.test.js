@@ -0,0 +1,40 @@
+// tests/transcribe.test.js — run with `npm test`
+
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+Object.assign(process.env, { TOBY_PROVIDER: "mock", TOBY_STORE: "memory", ANALYTICS_STORE: "off" });
+
+// Swapped in before transcribe.js takes its own reference to getProvider
+const providers = require("../netlify/lib/providers");
+const sent = [];
+const { getProvider } = providers;
+providers.getProvider = (...args) => {
+  const provider = getProvider(...args);
+  return {
+    ...provider,
+    transcribe: (options) => {
+      sent.push(options);
+      return provider.transcribe(options);
+    },
+  };
+};
+const { handler } = require("../netlify/functions/transcribe");
+
+const transcribe = (fields) =>
+  handler({
+    httpMethod: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ audioBase64: Buffer.alloc(8000).toString("base64"), ...fields }),
+  });
+
+test("redacts personal details from the prompt before it reaches the provider", async () => {
+  const res = await transcribe({ prompt: "Ring me on 021 123 4567 or jo@example.nz about the", offset: "30" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(sent.at(-1).prompt, "Ring me on [phone] or [email] about the");
+});
+
+test("sends no prompt for the first piece", async () => {
+  await transcribe({});
+  assert.equal(sent.at(-1).prompt, undefined);
+});
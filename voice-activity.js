@@ -0,0 +1,84 @@
+// voice-activity.js
+
+// Decides, frame by frame, whether someone is talking into the mic and when they've finished.
+// The first half second calibrates to the room's background noise. After that the noise floor
+// follows the quietest moments of the last couple of seconds, so pumps or a grinder raise the bar
+// instead of holding a recording open forever. Levels are the 0–100 RMS values chatbot.js reads.
+
+(function (global) {
+  const CALIBRATION_MS = 500;
+  const SMOOTHING_MS = 100; // evens out the flicker of machinery and the gaps between syllables
+  const FLOOR_WINDOW_MS = 2000; // speech always has gaps this long, steady machinery doesn't
+  const FLOOR_SETTLE_MS = 800;
+  const MIN_THRESHOLD = 2; // below this it's hiss, however quiet the room
+  const BASE_PAUSE_MS = 1500;
+  const MAX_PAUSE_MS = 2500; // the longer someone talks, the longer they may pause to think
+
+  // How far above the noise floor counts as speech
+  const SENSITIVITY = {
+    low: { ratio: 1.4, margin: 7 }, // loud sites: only a clear voice close to the phone
+    medium: { ratio: 1.3, margin: 4 },
+    high: { ratio: 1.2, margin: 2 }, // quiet rooms and soft voices
+  };
+
+  const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  /**
+   * sensitivity: "low" | "medium" | "high"
+   * waitForVoice: keep listening until someone speaks, rather than ending after an opening pause
+   * Returns a detector; feed update(volume) every frame.
+   */
+  function createDetector({ sensitivity = "medium", waitForVoice = false, now = Date.now() } = {}) {
+    const { ratio, margin } = SENSITIVITY[sensitivity] || SENSITIVITY.medium;
+    const startedAt = now;
+    const calibration = [];
+    const recent = []; // [time, level] over FLOOR_WINDOW_MS
+    let floor = null;
+    let level = null;
+    let lastTime = now;
+    let voice = false;
+    let heardVoice = false;
+    let speechMs = 0;
+    let quietSince = now;
+
+    const threshold = () => Math.max(MIN_THRESHOLD, floor * ratio + margin);
+
+    return {
+      // Returns { calibrating, voice, heardVoice, ended, level, floor, threshold } for this frame
+      update(volume, time = Date.now()) {
+        const elapsed = Math.max(0, time - lastTime);
+        lastTime = time;
+        level = level === null ? volume : level + (volume - level) * (1 - Math.exp(-elapsed / SMOOTHING_MS));
+
+        if (time - startedAt < CALIBRATION_MS) {
+          calibration.push(level);
+          quietSince = time;
+          return { calibrating: true, voice: false, heardVoice: false, ended: false, level, floor: 0, threshold: 0 };
+        }
+        if (floor === null) floor = calibration.length ? average(calibration) : level;
+
+        recent.push([time, level]);
+        while (time - recent[0][0] > FLOOR_WINDOW_MS) recent.shift();
+        const quietest = Math.min(...recent.map(([, v]) => v));
+        floor += (quietest - floor) * (1 - Math.exp(-elapsed / FLOOR_SETTLE_MS));
+
+        // Hysteresis: a trailing-off word stays speech until it drops well towards the floor
+        const on = threshold();
+        const off = floor + (on - floor) * 0.6;
+        voice = level >= (voice ? off : on);
+
+        if (voice) {
+          heardVoice = true;
+          speechMs += elapsed;
+          quietSince = time;
+        }
+        const pauseMs = Math.min(MAX_PAUSE_MS, BASE_PAUSE_MS + speechMs * 0.1);
+        const ended = (heardVoice || !waitForVoice) && time - quietSince > pauseMs;
+
+        return { calibrating: false, voice, heardVoice, ended, level, floor, threshold: on };
+      },
+    };
+  }
+
+  global.TobyVoiceActivity = { SENSITIVITIES: Object.keys(SENSITIVITY), createDetector };
+})(self);
@@ -0,0 +1,228 @@
+// widget.js
+
+// Puts Toby on any site with one tag:
+//
+//   <script src="https://resilient-palmier-22bdf1.netlify.app/widget.js" async
+//           data-greeting="Kia ora! How can I help?" data-primary-color="#00395d"></script>
+//
+// It adds a floating launcher. The first click fetches bot.html from Toby's site, copies its
+// styles and chat markup into a shadow DOM (so neither page's CSS leaks into the other), loads
+// the same scripts and mounts them with TobyChat.mount. Options, all optional:
+//   data-api-base         Toby's site (default: wherever this script was loaded from)
+//   data-primary-color    header, buttons and launcher colour
+//   data-accent-color     user bubbles and highlights
+//   data-avatar           image for the launcher and Toby's messages
+//   data-greeting         first message in a new chat
+//   data-starter-prompts  questions offered as chips in a new chat, separated by "|"; "" for none
+//   data-voice            "off" hides the mic, hands-free, playback and voice settings
+//   data-position         "left" to sit in the bottom-left corner instead of the right
+
+(function () {
+  const script = document.currentScript;
+  if (!script || window.TobyWidget) return; // one widget per page
+
+  const data = script.dataset;
+  const apiBase = (data.apiBase || new URL(script.src).origin).replace(/\/+$/, "");
+  const options = {
+    apiBase,
+    avatarUrl: data.avatar || `${apiBase}/Toby-Avatar.svg`,
+    greeting: data.greeting || "Kia ora! I'm Toby. Ask me anything about plumbing, gasfitting or drainlaying.",
+    voice: data.voice !== "off",
+    serviceWorker: false, // service workers only work on their own site
+  };
+  if (data.starterPrompts !== undefined) {
+    options.starterPrompts = data.starterPrompts
+      .split("|")
+      .map((prompt) => prompt.trim())
+      .filter(Boolean);
+  }
+
+  const WIDGET_CSS = `
+    :host {
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      z-index: 2147483000;
+      font-family: "Segoe UI", Calibri, sans-serif;
+      font-size: 16px;
+      color: #222;
+    }
+
+    :host([data-position="left"]) {
+      right: auto;
+      left: 20px;
+    }
+
+    .toby-launcher {
+      width: 64px;
+      height: 64px;
+      padding: 6px;
+      border: none;
+      border-radius: 50%;
+      background: var(--toby-primary, #00395d);
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.25);
+      cursor: pointer;
+    }
+
+    .toby-launcher img {
+      width: 100%;
+      height: 100%;
+      border-radius: 50%;
+    }
+
+    .toby-panel {
+      position: absolute;
+      bottom: 76px;
+      right: 0;
+      width: 380px;
+      height: min(640px, calc(100vh - 110px));
+      background: #fff;
+      border-radius: 12px;
+      box-shadow: 0 8px 30px rgba(0, 0, 0, 0.25);
+      overflow: hidden;
+    }
+
+    :host([data-position="left"]) .toby-panel {
+      right: auto;
+      left: 0;
+    }
+
+    .toby-panel #chatbot-section {
+      height: 100%;
+      max-width: none;
+      border: none;
+      border-radius: 0;
+      box-shadow: none;
+    }
+
+    .toby-close {
+      background: transparent;
+      border: none;
+      font-size: 20px;
+      cursor: pointer;
+    }
+
+    .toby-status {
+      padding: 1rem;
+    }
+
+    .debug-overlay {
+      display: none;
+    }
+
+    @media (max-width: 480px) {
+      .toby-panel {
+        position: fixed;
+        inset: 0;
+        width: auto;
+        height: auto;
+        border-radius: 0;
+      }
+    }
+  `;
+
+  const host = document.createElement("div");
+  host.id = "toby-widget";
+  if (data.position === "left") host.dataset.position = "left";
+  for (const [attr, property] of [
+    ["primaryColor", "--toby-primary"],
+    ["accentColor", "--toby-accent"],
+  ]) {
+    if (data[attr] && CSS.supports("color", data[attr])) host.style.setProperty(property, data[attr]);
+  }
+
+  const shadow = host.attachShadow({ mode: "open" });
+  shadow.innerHTML = `
+    <style>${WIDGET_CSS}</style>
+    <div class="toby-panel" id="toby-panel" role="dialog" aria-label="Ask Toby" hidden>
+      <p class="toby-status">Loading Toby…</p>
+    </div>
+    <button type="button" class="toby-launcher" aria-controls="toby-panel" aria-expanded="false" title="Ask Toby">
+      <img alt="Ask Toby">
+    </button>
+  `;
+  const widgetStyle = shadow.querySelector("style");
+  const panel = shadow.querySelector(".toby-panel");
+  const launcher = shadow.querySelector(".toby-launcher");
+  launcher.querySelector("img").src = options.avatarUrl;
+
+  const loadedScripts = new Set(); // a retry after a failed load mustn't run a script twice
+  const loadScript = (src) =>
+    loadedScripts.has(src) ||
+    new Promise((resolve, reject) => {
+      const tag = document.createElement("script");
+      tag.src = src;
+      tag.onload = () => {
+        loadedScripts.add(src);
+        resolve();
+      };
+      tag.onerror = () => reject(new Error(`Couldn't load ${src}`));
+      document.head.appendChild(tag);
+    });
+
+  // bot.html is the single source of the chat's markup, styles and script list
+  async function loadChat() {
+    const pageUrl = `${apiBase}/bot.html`;
+    const res = await fetch(pageUrl);
+    if (!res.ok) throw new Error(`bot.html: HTTP ${res.status}`);
+    const page = new DOMParser().parseFromString(await res.text(), "text/html");
+
+    const section = page.getElementById("chatbot-section");
+    const closeBtn = page.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "toby-close";
+    closeBtn.title = "Close";
+    closeBtn.setAttribute("aria-label", "Close Toby");
+    closeBtn.textContent = "✕";
+    section.querySelector(".chat-header").appendChild(closeBtn);
+
+    panel.replaceChildren(
+      ...[...page.querySelectorAll("style")].map((style) => document.importNode(style, true)),
+      document.importNode(section, true)
+    );
+    panel.querySelector(".toby-close").addEventListener("click", () => toggle(false));
+    // After bot.html's styles, so the panel's sizing wins
+    shadow.appendChild(widgetStyle);
+
+    for (const tag of page.querySelectorAll("script[src]")) {
+      await loadScript(new URL(tag.getAttribute("src"), pageUrl).href);
+    }
+    TobyChat.mount(shadow, options);
+  }
+
+  let loading = null;
+
+  function toggle(open = panel.hidden) {
+    panel.hidden = !open;
+    launcher.setAttribute("aria-expanded", String(open));
+    if (!open) {
+      launcher.focus();
+      return;
+    }
+    if (!loading) {
+      loading = loadChat().catch((err) => {
+        console.error("Toby widget:", err);
+        panel.innerHTML = '<p class="toby-status">⚠️ Toby couldn\'t load right now. Please try again later.</p>';
+        loading = null; // try again next time it's opened
+      });
+    }
+    loading.then(() => {
+      const input = shadow.getElementById("user-input");
+      if (input && !panel.hidden) input.focus();
+    });
+  }
+
+  launcher.addEventListener("click", () => toggle());
+  shadow.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && !panel.hidden) toggle(false);
+  });
+
+  const attach = () => document.body.appendChild(host);
+  if (document.body) attach();
+  else document.addEventListener("DOMContentLoaded", attach);
+
+  window.TobyWidget = {
+    open: () => toggle(true),
+    close: () => toggle(false),
+  };
+})();